@@ -0,0 +1,89 @@
+/*
+**  WebRetriever ~ Ingest Web Contents as Video Streams
+**  Based on Vingester (c) 2021-2025 Dr. Ralf S. Engelschall
+**  Licensed under GPL 3.0 <https://spdx.org/licenses/GPL-3.0-only>
+*/
+
+const crypto = require("crypto")
+
+/*  roles in order of increasing privileges  */
+const ROLES = [ "viewer", "operator", "admin" ]
+
+class Auth {
+    constructor () {
+        this.enabled = false
+        this.tokens  = []
+    }
+
+    configure ({ enabled, tokens }) {
+        this.enabled = !!enabled
+        this.tokens  = (Array.isArray(tokens) ? tokens : [])
+            .filter((t) => typeof t.token === "string" && t.token !== "" && ROLES.includes(t.role))
+            .map((t) => ({ name: String(t.name ?? ""), token: t.token, role: t.role }))
+    }
+
+    /*  generate a new random token  */
+    generate () {
+        return crypto.randomBytes(24).toString("hex")
+    }
+
+    /*  extract token from "Authorization: Bearer <token>" header or "?token=<token>" query  */
+    extract (req) {
+        const header = req.headers.authorization
+        if (typeof header === "string") {
+            const m = header.match(/^Bearer\s+(\S+)\s*$/i)
+            if (m !== null)
+                return m[1]
+        }
+        const url = new URL(req.url, "http://localhost")
+        const token = url.searchParams.get("token")
+        if (token !== null && token !== "")
+            return token
+        return null
+    }
+
+    /*  find token entry (compared in constant time)  */
+    lookup (token) {
+        const a = Buffer.from(token, "utf8")
+        let found = null
+        for (const entry of this.tokens) {
+            const b = Buffer.from(entry.token, "utf8")
+            if (a.length === b.length && crypto.timingSafeEqual(a, b))
+                found = entry
+        }
+        return found
+    }
+
+    /*  check whether a request carries a token with at least the given role  */
+    check (req, role) {
+        if (!this.enabled)
+            return { status: 200, entry: { name: "", role: "admin" } }
+        const token = this.extract(req)
+        if (token === null)
+            return { status: 401, error: "authentication required" }
+        const entry = this.lookup(token)
+        if (entry === null)
+            return { status: 401, error: "invalid token" }
+        if (ROLES.indexOf(entry.role) < ROLES.indexOf(role))
+            return { status: 403, error: `insufficient permissions (role "${role}" required)` }
+        return { status: 200, entry }
+    }
+
+    /*  Express middleware: role is either a role name or a function
+        which derives the role name from the request  */
+    require (role) {
+        return (req, res, next) => {
+            const result = this.check(req, typeof role === "function" ? role(req) : role)
+            if (result.status !== 200) {
+                if (result.status === 401)
+                    res.set("WWW-Authenticate", "Bearer realm=\"WebRetriever\"")
+                return res.status(result.status).json({ error: result.error })
+            }
+            req.auth = result.entry
+            next()
+        }
+    }
+}
+
+/*  Export a singleton — require() caches it so all callers share the same instance  */
+module.exports = new Auth()
@@ -65,7 +65,8 @@
             }
 
             /*  determine if FFmpeg is used as a sink and audio channels are enabled  */
-            const ffmpegWithAudio = (vingester.cfg.N && parseInt(vingester.cfg.C) > 0 && vingester.cfg.m)
+            const ffmpegWithAudio = (vingester.cfg.N && parseInt(vingester.cfg.C) > 0
+                && vingester.cfg.X.some((sink) => sink.e))
 
             /*  create a stereo audio destination  */
             let dest = null
@@ -19,6 +19,67 @@
     const electron     = require("electron")
     const log          = require("./vingester-log.js").scope(`browser/content-${cfg.id}`)
 
+    /*  receive graphics template commands (and remember the latest state
+        for handlers which register only after the commands were received)  */
+    const template = { handlers: [], data: null, playing: false }
+    electron.ipcRenderer.on("template", (ev, command, data) => {
+        if (command === "update")
+            template.data = data
+        else if (command === "play")
+            template.playing = true
+        else if (command === "stop")
+            template.playing = false
+        for (const handler of template.handlers)
+            handler(command, data)
+    })
+
+    /*  receive clock timer states (and remember the latest one as above)  */
+    const clock = { handlers: [], state: null }
+    electron.ipcRenderer.on("clock", (ev, state) => {
+        clock.state = state
+        for (const handler of clock.handlers)
+            handler(state)
+    })
+
+    /*  receive ticker items (and remember the latest ones as above)  */
+    const ticker = { handlers: [], items: null }
+    electron.ipcRenderer.on("ticker", (ev, items) => {
+        ticker.items = items
+        for (const handler of ticker.handlers)
+            handler(items)
+    })
+
+    /*  receive slideshow commands  */
+    const slideshow = { handlers: [] }
+    electron.ipcRenderer.on("slideshow", (ev, command, value) => {
+        for (const handler of slideshow.handlers)
+            handler(command, value)
+    })
+
+    /*  receive stream segments (and remember the latest initialization
+        segment, as the media segments are meaningless without it)  */
+    const stream = { handlers: [], init: null }
+    electron.ipcRenderer.on("stream", (ev, type, data, mime) => {
+        if (type === "init")
+            stream.init = { data, mime }
+        for (const handler of stream.handlers)
+            handler(type, data, mime)
+    })
+
+    /*  receive NDI input frames  */
+    const ndi = { handlers: [] }
+    electron.ipcRenderer.on("ndi", (ev, type, frame) => {
+        for (const handler of ndi.handlers)
+            handler(type, frame)
+    })
+
+    /*  receive compositor frames  */
+    const compositor = { handlers: [] }
+    electron.ipcRenderer.on("compositor", (ev, command, index, frame) => {
+        for (const handler of compositor.handlers)
+            handler(command, index, frame)
+    })
+
     /*  provide global Vingester environment (for postload)  */
     let visibility = cfg.D ? "visible" : "hidden"
     electron.contextBridge.exposeInMainWorld("vingester", {
@@ -28,6 +89,7 @@
         },
         stat (data) {
             electron.ipcRenderer.sendTo(cfg.controlId, "stat", data)
+            electron.ipcRenderer.send("stat", data)
         },
         async audioCapture (data) {
             electron.ipcRenderer.sendTo(cfg.workerId, "audio-capture", data)
@@ -36,6 +98,40 @@
             if (state !== undefined)
                 visibility = state
             return visibility
+        },
+        onTemplate (handler) {
+            template.handlers.push(handler)
+            if (template.data !== null)
+                handler("update", template.data)
+            if (template.playing)
+                handler("play", null)
+        },
+        onClock (handler) {
+            clock.handlers.push(handler)
+            if (clock.state !== null)
+                handler(clock.state)
+        },
+        onTicker (handler) {
+            ticker.handlers.push(handler)
+            if (ticker.items !== null)
+                handler(ticker.items)
+        },
+        onSlideshow (handler) {
+            slideshow.handlers.push(handler)
+        },
+        slideshowState (state) {
+            electron.ipcRenderer.send("slideshow", state)
+        },
+        onStream (handler) {
+            stream.handlers.push(handler)
+            if (stream.init !== null)
+                handler("init", stream.init.data, stream.init.mime)
+        },
+        onNDI (handler) {
+            ndi.handlers.push(handler)
+        },
+        onCompositor (handler) {
+            compositor.handlers.push(handler)
         }
     })
 
@@ -6,6 +6,7 @@
 
 /*  require internal modules  */
 const os               = require("os")
+const path             = require("path")
 
 /*  require external modules  */
 const electron         = require("electron")
@@ -42,13 +43,21 @@ class BrowserWorker {
         this.timeStart       = (BigInt(Date.now()) * BigInt(1e6) - process.hrtime.bigint())
         this.ndiSender       = null
         this.ndiTimer        = null
-        this.ffmpeg          = null
+        this.ffmpegs         = []
+        this.srtOutput       = null
+        this.srt             = null
         this.opusEncoder     = null
         this.burst1          = null
         this.burst2          = null
+        this.burst3          = null
         this.videopps        = null
         this.audiopps        = null
         this.frames          = 0
+        this.wdTimer         = null
+        this.wdFrame         = null
+        this.wdChange        = 0
+        this.wdUniform       = null
+        this.wdLuma          = -1
     }
 
     /*  reconfigure running worker  */
@@ -56,6 +65,134 @@ class BrowserWorker {
         this.cfg = cfg
     }
 
+    /*  determine the raw pixel format of captured frames as passed to FFmpeg: the
+        capturing provides BGRA (little endian CPU) or ARGB (big endian CPU), but
+        the NDI sink already converted the latter to BGRA in-place  */
+    pixfmt () {
+        return (os.endianness() === "BE" && !this.cfg.n ? "argb" : "bgra")
+    }
+
+    /*  determine the output frame size of a sink: without any dimension
+        the captured frames are passed through, with a single dimension the
+        other one is derived from the aspect ratio of the browser  */
+    outputSize (width, height) {
+        width  = Math.max(0, width  || 0)
+        height = Math.max(0, height || 0)
+        if (width === 0 && height === 0)
+            return null
+        if (width === 0)
+            width  = Math.max(2, Math.round(height * this.cfg.w / this.cfg.h / 2) * 2)
+        else if (height === 0)
+            height = Math.max(2, Math.round(width * this.cfg.h / this.cfg.w / 2) * 2)
+        return { width, height }
+    }
+
+    /*  scale a captured frame (in its native pixel format) to the output size of a sink
+        by either fitting it into the size (letterboxing with transparent black), filling
+        the size (cropping the overflow) or stretching it onto the size  */
+    scaleFrame (buffer, size, target, mode, quality) {
+        if (target === null || (size.width === target.width && size.height === target.height))
+            return { data: buffer, size }
+        let img = electron.nativeImage.createFromBitmap(buffer,
+            { width: size.width, height: size.height })
+        if (mode === "stretch") {
+            const data = img.resize({ width: target.width, height: target.height, quality }).getBitmap()
+            return { data, size: target }
+        }
+        else if (mode === "fill") {
+            const scale  = Math.max(target.width / size.width, target.height / size.height)
+            const width  = Math.max(1, Math.min(size.width,  Math.round(target.width  / scale)))
+            const height = Math.max(1, Math.min(size.height, Math.round(target.height / scale)))
+            img = img.crop({ x: (size.width - width) >> 1, y: (size.height - height) >> 1, width, height })
+            const data = img.resize({ width: target.width, height: target.height, quality }).getBitmap()
+            return { data, size: target }
+        }
+        else {
+            const scale  = Math.min(target.width / size.width, target.height / size.height)
+            const width  = Math.max(1, Math.min(target.width,  Math.round(size.width  * scale)))
+            const height = Math.max(1, Math.min(target.height, Math.round(size.height * scale)))
+            const image  = img.resize({ width, height, quality }).getBitmap()
+            if (width === target.width && height === target.height)
+                return { data: image, size: target }
+
+            /*  center the resized image onto an otherwise empty frame  */
+            const data   = Buffer.alloc(target.width * target.height * 4)
+            const x0     = (target.width  - width)  >> 1
+            const y0     = (target.height - height) >> 1
+            const stride = width * 4
+            for (let y = 0; y < height; y++)
+                image.copy(data, ((y0 + y) * target.width + x0) * 4, y * stride, (y + 1) * stride)
+            return { data, size: target }
+        }
+    }
+
+    /*  prepare a captured frame for the output of a FFmpeg-based sink, where
+        sinks with the same output share the prepared frame (via the cache)  */
+    prepareFrame (buffer, size, output, frames) {
+        const key = (output.size !== null ? `${output.size.width}x${output.size.height}` : "captured") +
+            `/${output.scaling}/${output.quality}/${output.png ? "png" : "jpeg"}`
+        let data = frames.get(key)
+        if (data !== undefined)
+            return data
+
+        /*  keep the BGRA (Electron/Chromium on little endian CPU)
+            or ARGB (Electron/Chromium on big endian CPU) format,
+            as the nativeImage expects it in the native format
+            and correctly handles the RGBA conversion internally  */
+        if (this.cfg.mi === "raw") {
+            /*  pass raw frame, but ensure it has exactly the
+                frame size FFmpeg was told about  */
+            const target = output.size ?? { width: this.cfg.w, height: this.cfg.h }
+            data = this.scaleFrame(buffer, size, target, output.scaling, output.quality).data
+        }
+        else {
+            /*  convert buffer into a JPEG (understood by FFmpeg), or into
+                a PNG if the alpha channel has to be preserved by the sink  */
+            const scaled = this.scaleFrame(buffer, size, output.size, output.scaling, output.quality)
+            const img = electron.nativeImage.createFromBitmap(scaled.data,
+                { width: scaled.size.width, height: scaled.size.height })
+            data = (output.png ? img.toPNG() : img.toJPEG(100))
+        }
+        frames.set(key, data)
+        return data
+    }
+
+    /*  analyze a captured frame for the watchdog: detect identical frames
+        and near-black/near-uniform frames (the frame buffer has to be compared
+        after any in-place conversions, as the previous one was, too)  */
+    analyzeFrame (buffer, size) {
+        const now   = Date.now()
+        const frame = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        if (this.wdFrame === null || !frame.equals(this.wdFrame))
+            this.wdChange = now
+        this.wdFrame = frame
+
+        /*  determine luminance range over a grid of sampled pixels  */
+        const [ ro, go, bo ] = (this.pixfmt() === "argb" ? [ 1, 2, 3 ] : [ 2, 1, 0 ])
+        const stepX = Math.max(1, Math.floor(size.width  / 64))
+        const stepY = Math.max(1, Math.floor(size.height / 36))
+        let min = 255
+        let max = 0
+        let sum = 0
+        let n   = 0
+        for (let y = stepY >> 1; y < size.height; y += stepY) {
+            for (let x = stepX >> 1; x < size.width; x += stepX) {
+                const i = (y * size.width + x) * 4
+                const luma = (frame[i + ro] * 2 + frame[i + go] * 5 + frame[i + bo]) >> 3
+                if (min > luma) min = luma
+                if (max < luma) max = luma
+                sum += luma
+                n++
+            }
+        }
+        this.wdLuma = (n > 0 ? Math.round(sum / n) : 0)
+        const uniform = (max < 24 || max - min <= 8)
+        if (!uniform)
+            this.wdUniform = null
+        else if (this.wdUniform === null)
+            this.wdUniform = now
+    }
+
     /*  return current time in nanoseconds since Unix epoch time as a BigInt  */
     timeNow () {
         return this.timeStart + process.hrtime.bigint()
@@ -100,28 +237,155 @@ class BrowserWorker {
                         { status: this.ndiStatus, connections: conns, id: this.id })
                 }, 1 * 500)
             }
-            if (this.cfg.m) {
-                this.ffmpeg = new FFmpeg({
+            /*  send FFmpeg process state (for the metrics and the control UI)  */
+            const sendProcess = (sink, name, ffmpeg) => {
+                const data = { sink, name, state: ffmpeg.state, exits: ffmpeg.exits, file: ffmpeg.file, id: this.id }
+                electron.ipcRenderer.sendTo(this.cfg.controlId, "ffmpeg", data)
+                electron.ipcRenderer.send("ffmpeg", data)
+            }
+            /*  send recording status (for the control UI, the REST API and the metrics)  */
+            const sendRecording = (sink, name, ffmpeg) => {
+                const data = { sink, name, ...ffmpeg.recordingStatus(), id: this.id }
+                electron.ipcRenderer.sendTo(this.cfg.controlId, "recording", data)
+                electron.ipcRenderer.send("recording", data)
+            }
+            /*  determine the fixed frame size (null for the captured frames),
+                the scaling and the frame encoding (PNG only where the alpha
+                channel is preserved) of the output of a FFmpeg-based sink  */
+            const ffmpegOutput = (width, height, scaling, quality, png = false) =>
+                ({ size: this.outputSize(parseInt(width), parseInt(height)), scaling, quality, png })
+
+            /*  preserve the alpha channel for transparent instances  */
+            const alpha = (this.cfg.c === "transparent")
+
+            /*  create one FFmpeg process per enabled FFmpeg sink  */
+            this.ffmpegs = []
+            for (let i = 0; i < (this.cfg.X ?? []).length; i++) {
+                const entry = this.cfg.X[i]
+                if (!entry.e)
+                    continue
+                const sink = `ffmpeg-${i + 1}`
+                const name = (entry.t !== "" ? entry.t : `FFmpeg #${i + 1}`)
+                const output = ffmpegOutput(entry.W, entry.H, entry.S, entry.Q,
+                    alpha && FFmpeg.alphaCapable(entry.V))
+                const ffmpegSize = output.size ?? { width: this.cfg.w, height: this.cfg.h }
+
+                /*  for recordings, write into timestamped (and optionally segmented)
+                    files of the recording directory, named after the file name template  */
+                let recording = null
+                if (entry.c) {
+                    const vars = util.RecordingFileName.vars(this.cfg, i)
+                    recording = {
+                        filename: (index) => path.join(this.cfg.recordingDir,
+                            util.RecordingFileName.expand(entry.p, vars, new Date(), index)),
+                        segmentTime: (parseFloat(entry.d) || 0) * 60,
+                        segmentSize: (parseFloat(entry.z) || 0) * 1024 * 1024
+                    }
+                }
+                const ffmpeg = new FFmpeg({
+                    ffmpeg:  this.cfg.ffmpeg,
+                    cwd:     this.cfg.ffmpegCwd,
+                    width:   ffmpegSize.width,
+                    height:  ffmpegSize.height,
+                    mode:    entry.R,
+                    format:  entry.F,
+                    fps:     this.cfg.f,
+                    asr:     this.cfg.r,
+                    ac:      this.cfg.C,
+                    input:   this.cfg.mi,
+                    pixfmt:  this.pixfmt(),
+                    args:    entry.M.split(/\s+/).filter((arg) => arg !== ""),
+                    vcodec:  entry.V,
+                    acodec:  entry.A,
+                    bitrate: parseInt(entry.b) || 0,
+                    crf:     entry.q !== "" ? parseInt(entry.q) : null,
+                    gop:     parseInt(entry.g) || 0,
+                    preset:  entry.P,
+                    profile: entry.O,
+                    alpha,
+                    recording,
+                    log: (level, msg) => {
+                        this.log[level](`${name}: ${msg}`)
+                    }
+                })
+                ffmpeg.on("fatal", (msg) => {
+                    this.log.error(`FFmpeg fatal error (${name}): ${msg}`)
+                    electron.ipcRenderer.sendTo(this.cfg.controlId, "message",
+                        `FFmpeg fatal error (${name}): ${msg}`)
+                })
+                ffmpeg.on("state", () => {
+                    sendProcess(sink, name, ffmpeg)
+                    if (recording !== null)
+                        sendRecording(sink, name, ffmpeg)
+                })
+                ffmpeg.on("segment", (file) => {
+                    this.log.info(`${name}: recording into file: ${file}`)
+                    sendProcess(sink, name, ffmpeg)
+                })
+                ffmpeg.on("recording", () => {
+                    sendRecording(sink, name, ffmpeg)
+                })
+                this.ffmpegs.push({ sink, name, ffmpeg, output })
+
+                /*  recordings optionally are not started together with the instance,
+                    but later on request only  */
+                if (recording === null || entry.a)
+                    await ffmpeg.start()
+                else {
+                    sendProcess(sink, name, ffmpeg)
+                    sendRecording(sink, name, ffmpeg)
+                }
+            }
+            if (this.cfg.s) {
+                this.srtOutput = ffmpegOutput(this.cfg.mw, this.cfg.mh, this.cfg.ms, this.cfg.mq)
+                const ffmpegSize = this.srtOutput.size ?? { width: this.cfg.w, height: this.cfg.h }
+                this.srt = new FFmpeg({
                     ffmpeg: this.cfg.ffmpeg,
                     cwd:    this.cfg.ffmpegCwd,
-                    width:  this.cfg.w,
-                    height: this.cfg.h,
-                    mode:   this.cfg.R,
-                    format: this.cfg.F,
+                    width:  ffmpegSize.width,
+                    height: ffmpegSize.height,
+                    mode:   "cbr",
                     fps:    this.cfg.f,
                     asr:    this.cfg.r,
                     ac:     this.cfg.C,
-                    args:   this.cfg.M.split(/\s+/),
+                    input:  this.cfg.mi,
+                    pixfmt: this.pixfmt(),
+                    srt: {
+                        mode:       this.cfg.sm,
+                        host:       this.cfg.sh,
+                        port:       this.cfg.sp,
+                        latency:    this.cfg.sl,
+                        passphrase: this.cfg.sk,
+                        pbkeylen:   this.cfg.sb,
+                        streamid:   this.cfg.sd
+                    },
                     log: (level, msg) => {
                         this.log[level](msg)
                     }
                 })
-                this.ffmpeg.on("fatal", (msg) => {
+                this.srt.on("fatal", (msg) => {
                     this.log.error(`FFmpeg fatal error: ${msg}`)
                     electron.ipcRenderer.sendTo(this.cfg.controlId, "message",
                         `FFmpeg fatal error: ${msg}`)
                 })
-                await this.ffmpeg.start()
+
+                /*  send SRT connection state and statistics  */
+                const sendSRT = (data) => {
+                    electron.ipcRenderer.sendTo(this.cfg.controlId, "srt", { ...data, id: this.id })
+                    electron.ipcRenderer.send("srt", { ...data, id: this.id })
+                }
+                this.srt.on("state", (state, reason) => {
+                    sendProcess("srt", "SRT", this.srt)
+                    if (this.stopping)
+                        return
+                    sendSRT({ state, reason, bitrate: 0 })
+                })
+                this.srt.on("progress", (progress) => {
+                    if (this.stopping)
+                        return
+                    sendSRT({ state: this.srt.state, reason: "", ...progress })
+                })
+                await this.srt.start()
             }
         }
         this.burst1   = new util.WeightedAverage(this.cfg.f * 2, this.cfg.f)
@@ -129,7 +393,24 @@ class BrowserWorker {
             this.burst2   = new util.WeightedAverage(this.cfg.f * 2, this.cfg.f)
         else
             this.burst2   = new util.WeightedAverage(30, 15)
+        if (this.cfg.f > 0)
+            this.burst3   = new util.WeightedAverage(this.cfg.f * 2, this.cfg.f)
+        else
+            this.burst3   = new util.WeightedAverage(30, 15)
         this.videopps = new util.ActionsPerTime(1000)
+
+        /*  periodically report frame analysis results to the watchdog  */
+        this.wdChange  = Date.now()
+        this.wdTimer   = setInterval(() => {
+            if (!this.cfg.wd || this.stopping)
+                return
+            electron.ipcRenderer.send("watchdog", {
+                lastChange:   this.wdChange,
+                uniformSince: this.wdUniform,
+                luma:         this.wdLuma,
+                id:           this.id
+            })
+        }, 1000)
         this.audiopps = new util.ActionsPerTime(1000)
 
         /*  capture and send browser audio stream Chromium provides a
@@ -158,6 +439,35 @@ class BrowserWorker {
         this.log.info("started")
     }
 
+    /*  start, stop, pause, resume or split the recordings of the
+        recording FFmpeg sinks (all or just the one given by its id or name)  */
+    async recording (command, sink = null) {
+        if (![ "start", "stop", "pause", "resume", "split" ].includes(command))
+            throw new Error(`invalid recording command "${command}"`)
+        const entries = this.ffmpegs.filter((entry) =>
+            entry.ffmpeg.options.recording !== null
+            && (sink === null || entry.sink === sink || entry.name === sink))
+        if (entries.length === 0)
+            throw new Error(sink === null ? "no recording FFmpeg sinks" : `no such recording FFmpeg sink "${sink}"`)
+        /*  control the sinks in parallel, as finishing a FFmpeg process takes a few seconds  */
+        await Promise.all(entries.map(async ({ name, ffmpeg }) => {
+            this.log.info(`${name}: recording: ${command}`)
+            if (command === "start" && ffmpeg.state === "paused")
+                await ffmpeg.resume()
+            else if (command === "start" && ffmpeg.proc === null)
+                await ffmpeg.start()
+            else if (command === "stop")
+                await ffmpeg.stop()
+            else if (command === "pause")
+                await ffmpeg.pause()
+            else if (command === "resume")
+                await ffmpeg.resume()
+            else if (command === "split")
+                await ffmpeg.rotate()
+        }))
+        return entries.map(({ sink, name, ffmpeg }) => ({ sink, name, ...ffmpeg.recordingStatus() }))
+    }
+
     /*  stop worker  */
     async stop () {
         this.log.info("stopping")
@@ -167,6 +477,13 @@ class BrowserWorker {
         if (this.opusEncoder !== null)
             this.opusEncoder = null
 
+        /*  destroy watchdog timer  */
+        if (this.wdTimer !== null) {
+            clearInterval(this.wdTimer)
+            this.wdTimer = null
+        }
+        this.wdFrame = null
+
         /*  destroy NDI timer (was created with setInterval, must use clearInterval)  */
         if (this.ndiTimer !== null) {
             clearInterval(this.ndiTimer)
@@ -177,9 +494,14 @@ class BrowserWorker {
         if (this.ndiSender !== null)
             await this.ndiSender.destroy()
 
-        /*  destroy FFmpeg sender  */
-        if (this.ffmpeg !== null)
-            await this.ffmpeg.stop()
+        /*  destroy FFmpeg senders  */
+        for (const { ffmpeg } of this.ffmpegs)
+            await ffmpeg.stop()
+        this.ffmpegs = []
+
+        /*  destroy SRT sender  */
+        if (this.srt !== null)
+            await this.srt.stop()
 
         /*  remove IPC listeners registered in start() to prevent accumulation  */
         if (this._audioCaptureHandler) {
@@ -245,19 +567,29 @@ class BrowserWorker {
         /*  send video frame  */
         if (this.cfg.N) {
             if (this.cfg.n) {
+                /*  convert a copy of the frame in case the FFmpeg-based sinks
+                    still need the native format and the alpha channel  */
+                let ndiBuffer = buffer
+                if ((os.endianness() === "BE" || !this.cfg.v) && (this.ffmpegs.length > 0 || this.cfg.s))
+                    ndiBuffer = Buffer.from(buffer)
+
                 /*  convert from ARGB (Electron/Chromium on big endian CPU)
                     to BGRA (supported input of NDI SDK). On little endian
                     CPU the input is already BGRA.  */
                 if (os.endianness() === "BE")
-                    util.ImageBufferAdjustment.ARGBtoBGRA(buffer)
+                    util.ImageBufferAdjustment.ARGBtoBGRA(ndiBuffer)
 
                 /*  optionally convert from BGRA to BGRX (no alpha channel)  */
                 let fourCC = grandiose.FOURCC_BGRA
                 if (!this.cfg.v) {
-                    util.ImageBufferAdjustment.BGRAtoBGRX(buffer)
+                    util.ImageBufferAdjustment.BGRAtoBGRX(ndiBuffer)
                     fourCC = grandiose.FOURCC_BGRX
                 }
 
+                /*  scale frame to the NDI output size  */
+                const output = this.scaleFrame(ndiBuffer, size,
+                    this.outputSize(this.cfg.nw, this.cfg.nh), this.cfg.ns, this.cfg.nq)
+
                 /*  send NDI video frame  */
                 const now = this.timeNow()
                 const bytesForBGRA = 4
@@ -266,47 +598,61 @@ class BrowserWorker {
                     timecode:           now / BigInt(100),
 
                     /*  type-specific information  */
-                    xres:               size.width,
-                    yres:               size.height,
+                    xres:               output.size.width,
+                    yres:               output.size.height,
                     frameRateN:         this.cfg.f * 1000,
                     frameRateD:         1000,
-                    pictureAspectRatio: ratio,
+                    pictureAspectRatio: output.size === size ? ratio : output.size.width / output.size.height,
                     frameFormatType:    grandiose.FORMAT_TYPE_PROGRESSIVE,
-                    lineStrideBytes:    size.width * bytesForBGRA,
+                    lineStrideBytes:    output.size.width * bytesForBGRA,
 
                     /*  the data itself  */
                     fourCC,
-                    data:               buffer
+                    data:               output.data
                 }
                 await this.ndiSender.video(frame)
             }
-            if (this.cfg.m) {
-                /*  keep the BGRA (Electron/Chromium on little endian CPU)
-                    or ARGB (Electron/Chromium on big endian CPU) format,
-                    as the nativeImage expects it in the native format
-                    and correctly handles the RGBA conversion internally  */
-
-                /*  convert buffer into a JPEG (understood by FFmpeg)  */
-                const img = electron.nativeImage.createFromBitmap(buffer,
-                    { width: size.width, height: size.height })
-                const data = img.toJPEG(100)
-
-                /*  send FFmpeg video frame  */
-                this.ffmpeg.video(data)
+            if (this.ffmpegs.length > 0 || this.cfg.s) {
+                const t2 = Date.now()
+
+                /*  send FFmpeg video frames (prepared once per distinct output)  */
+                const frames = new Map()
+                for (const { ffmpeg, output } of this.ffmpegs)
+                    ffmpeg.video(this.prepareFrame(buffer, size, output, frames))
+                if (this.cfg.s)
+                    this.srt.video(this.prepareFrame(buffer, size, this.srtOutput, frames))
+
+                /*  benchmark the FFmpeg frame preparation  */
+                const t3 = Date.now()
+                this.burst3.record(t3 - t2, (stat) => {
+                    const sink = (this.ffmpegs.length > 0 ? this.ffmpegs[0].ffmpeg : this.srt)
+                    const info = { ...stat, type: "ffmpeg", input: this.cfg.mi,
+                        dropped: sink.dropped, duplicated: sink.duplicated, id: this.id }
+                    electron.ipcRenderer.sendTo(this.cfg.controlId, "burst", info)
+                    electron.ipcRenderer.send("burst", info)
+                })
             }
         }
 
+        /*  analyze frame for the watchdog  */
+        if (this.cfg.wd)
+            this.analyzeFrame(buffer, size)
+
         /*  end time-keeping  */
         const t1 = Date.now()
         this.burst1.record(t1 - t0, (stat) => {
             electron.ipcRenderer.sendTo(this.cfg.controlId, "burst",
                 { ...stat, type: "video", id: this.id })
+            electron.ipcRenderer.send("burst",
+                { ...stat, type: "video", id: this.id })
         })
 
         /*  track packets per second  */
         this.videopps.record((pps) => {
             electron.ipcRenderer.sendTo(this.cfg.controlId, "rate",
                 { pps, type: "video", id: this.id })
+            electron.ipcRenderer.send("rate",
+                { pps, type: "video", id: this.id })
         })
     }
 
@@ -371,10 +717,12 @@ class BrowserWorker {
                 }
                 await this.ndiSender.audio(frame)
             }
-            if (this.cfg.m) {
-                /*  send FFmpeg audio frame  */
-                await this.ffmpeg.audio(buffer)
-            }
+            /*  send FFmpeg and SRT audio frames to all sinks in parallel (each sink
+                drops the data on its own if its FFmpeg process does not keep up)  */
+            await Promise.all([
+                ...this.ffmpegs.map(({ ffmpeg }) => ffmpeg.audio(buffer)),
+                ...(this.cfg.s ? [ this.srt.audio(buffer) ] : [])
+            ])
         }
 
         /*  end time-keeping  */
@@ -382,12 +730,16 @@ class BrowserWorker {
         this.burst2.record(t1 - t0, (stat) => {
             electron.ipcRenderer.sendTo(this.cfg.controlId, "burst",
                 { ...stat, type: "audio", id: this.id })
+            electron.ipcRenderer.send("burst",
+                { ...stat, type: "audio", id: this.id })
         })
 
         /*  track packets per second  */
         this.audiopps.record((pps) => {
             electron.ipcRenderer.sendTo(this.cfg.controlId, "rate",
                 { pps, type: "audio", id: this.id })
+            electron.ipcRenderer.send("rate",
+                { pps, type: "audio", id: this.id })
         })
     }
 }
@@ -401,6 +753,18 @@ electron.ipcRenderer.on("browser-worker-reconfigure", async (ev, cfg) => {
     browserWorker.reconfigure(cfg)
 })
 
+/*  control recordings  */
+electron.ipcRenderer.on("browser-worker-recording", async (ev, request, command, sink) => {
+    let result
+    try {
+        result = { recordings: await browserWorker.recording(command, sink) }
+    }
+    catch (err) {
+        result = { error: err.message }
+    }
+    electron.ipcRenderer.send("recording-result", { request, ...result })
+})
+
 /*  shutdown worker  */
 electron.ipcRenderer.on("browser-worker-stop", async (ev) => {
     await browserWorker.stop()
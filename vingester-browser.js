@@ -8,25 +8,37 @@
 const os          = require("os")
 const fs          = require("fs")
 const path        = require("path")
+const url         = require("url")
+const EventEmitter = require("events")
 const rimraf      = require("rimraf")
 
 /*  require external modules  */
 const electron    = require("electron")
 const contextMenu = require("electron-context-menu")
 const bluebird    = require("bluebird")
+const got         = require("got")
+const debounce    = require("throttle-debounce").debounce
 const util        = require("./vingester-util.js")
+const Stream      = require("./vingester-stream.js")
+const FFmpeg      = require("./vingester-ffmpeg.js")
+const Receiver    = require("./vingester-ndi.js")
 const pkg         = require("./package.json")
 
 /*  browser abstraction  */
-module.exports = class Browser {
+module.exports = class Browser extends EventEmitter {
     /*  create new browser  */
-    constructor (log, id, cfg, control, ffmpeg, mediaDir) {
+    constructor (log, id, cfg, control, ffmpeg, mediaDir, peers) {
+        super()
         this.log             = log
         this.id              = id
         this.cfg             = {}
         this.control         = control
         this.ffmpeg          = ffmpeg
         this.mediaDir        = mediaDir || ""
+        this.peers           = peers || (() => undefined)
+        this.watchdog        = { state: "disabled", reason: "", since: 0, step: 0, next: 0, keep: false }
+        this.crash           = { count: 0, reason: "", time: 0, restarts: [], exhausted: false, pending: false }
+        this.counters        = { starts: 0, reloads: 0, restarts: 0, watchdog: 0 }
         this.reset()
         this.reconfigure(cfg)
     }
@@ -46,6 +58,75 @@ module.exports = class Browser {
         this.framesToSkip    = -1
         this.devToolsEnabled = false
         this.refreshTimer    = null
+        this.snapshotTimer   = null
+        this.retentionTimer  = null
+        this.watchdogTimer   = null
+        this.lastPaint       = 0
+        this.lastChange      = 0
+        this.uniformSince    = null
+        this.luma            = -1
+        this.hangTimer       = null
+        this.lastImage       = null
+        this.previewCache    = null
+        this.templateData    = {}
+        this.templatePlaying = false
+        this.clockState      = { running: false, base: 0, since: 0 }
+        this.tickerItems     = []
+        this.tickerTimer     = null
+        this.tickerWatch     = null
+        this.slideshowState  = null
+        this.slideshowItems  = []
+        this.slideshowWatch  = null
+        this.stream          = null
+        this.receiver        = null
+        this.compositor      = null
+        this.holding         = false
+        this.holdTimer       = null
+        this.recRequest      = 0
+        this.recPending      = {}
+        this.live            = { tally: "unconnected", connections: 0, stat: null, rate: {}, burst: {}, srt: null, watchdog: null,
+            crash: this.crashInfo(), ffmpeg: {}, recording: {}, template: null, clock: null, ticker: null, slideshow: null,
+            stream: null, receiver: null, compositor: null }
+    }
+
+    /*  publish a live event (and remember its latest data)  */
+    publish (type, data) {
+        if (type === "stat")
+            this.live.stat = data
+        else if (type === "rate")
+            this.live.rate[data.type] = data.pps
+        else if (type === "burst")
+            this.live.burst[data.type] = data
+        else if (type === "srt")
+            this.live.srt = data
+        else if (type === "watchdog")
+            this.live.watchdog = data
+        else if (type === "crash")
+            this.live.crash = data
+        else if (type === "ffmpeg")
+            this.live.ffmpeg[data.sink] = { name: data.name, state: data.state, exits: data.exits, file: data.file }
+        else if (type === "recording")
+            this.live.recording[data.sink] = { name: data.name, state: data.state, file: data.file,
+                elapsed: data.elapsed, size: data.size, bitrate: data.bitrate }
+        else if (type === "template")
+            this.live.template = { data: data.data, playing: data.playing }
+        else if (type === "clock")
+            this.live.clock = { mode: data.mode, running: data.running, base: data.base, since: data.since }
+        else if (type === "ticker")
+            this.live.ticker = { source: data.source, items: data.items }
+        else if (type === "slideshow")
+            this.live.slideshow = data
+        else if (type === "stream")
+            this.live.stream = { state: data.state, reason: data.reason, exits: data.exits }
+        else if (type === "receiver")
+            this.live.receiver = data
+        else if (type === "compositor")
+            this.live.compositor = data
+        else if (type === "tally") {
+            this.live.tally       = data.status
+            this.live.connections = data.connections
+        }
+        this.emit("event", type, data)
     }
 
     /*  reconfigure browser  */
@@ -67,6 +148,22 @@ module.exports = class Browser {
         this.cfg.ai = parseInt(this.cfg.ai)
         this.cfg.si = parseInt(this.cfg.si)
         this.cfg.sf = parseFloat(this.cfg.sf)
+        this.cfg.sp = parseInt(this.cfg.sp)
+        this.cfg.sl = parseInt(this.cfg.sl)
+        this.cfg.sb = parseInt(this.cfg.sb)
+        this.cfg.wt = parseInt(this.cfg.wt)
+        this.cfg.cb = parseInt(this.cfg.cb)
+        this.cfg.ni = parseInt(this.cfg.ni)
+        this.cfg.nk = parseInt(this.cfg.nk)
+        this.cfg.xr = parseInt(this.cfg.xr)
+        this.cfg.yr = parseInt(this.cfg.yr)
+        this.cfg.yt = parseInt(this.cfg.yt)
+        this.cfg.nw = parseInt(this.cfg.nw)
+        this.cfg.nh = parseInt(this.cfg.nh)
+        this.cfg.mw = parseInt(this.cfg.mw)
+        this.cfg.mh = parseInt(this.cfg.mh)
+        this.cfg.rk = parseInt(this.cfg.rk)
+        this.cfg.rq = parseFloat(this.cfg.rq)
 
         /*  recalculate capture framerate  */
         this.recalcCaptureFramerate()
@@ -74,9 +171,13 @@ module.exports = class Browser {
         /*  optionally reconfigure already running worker instance  */
         this.update()
 
-        /*  update auto-refresh timer if running  */
-        if (this.content !== null)
+        /*  update auto-refresh, snapshot and recording retention timers and watchdog if running  */
+        if (this.content !== null) {
             this.updateRefreshTimer()
+            this.updateSnapshotTimer()
+            this.updateRetentionTimer()
+            this.updateWatchdog()
+        }
 
         /*  control devTools window  */
         if (this.content !== null) {
@@ -154,13 +255,21 @@ module.exports = class Browser {
 
     /*  check whether browser has a valid configuration  */
     valid () {
+        const byURL  = [ "url", "stream", "ndi" ].includes(this.cfg.it)
+        const byData = [ "clock", "ticker" ].includes(this.cfg.it)
         const hasInput = (
-            (this.cfg.it === "url" && this.cfg.u !== "") ||
-            (this.cfg.it !== "url" && this.cfg.if !== "")
+            (byURL && this.cfg.u !== "") ||
+            (!byURL && (this.cfg.it === "compositor" ? this.cfg.lo.trim() !== "" : (byData || this.cfg.if !== "")))
         )
+        const codecs = FFmpeg.codecs(this.ffmpeg)
         return (
             this.cfg.N
-            && (this.cfg.n || this.cfg.m)
+            && (this.cfg.n || this.cfg.X.some((sink) => sink.e) || this.cfg.s)
+            && this.cfg.X.every((sink) => !sink.e
+                || (sink.c ? util.RecordingFileName.identifying(sink.p) : sink.M.trim() !== ""))
+            && this.cfg.X.every((sink) => !sink.e
+                || (codecs.video.includes(sink.V) && codecs.audio.includes(sink.A)))
+            && (!this.cfg.s || this.cfg.sm === "listener" || this.cfg.sh !== "")
             && this.cfg.t !== ""
             && hasInput
         )
@@ -186,13 +295,244 @@ module.exports = class Browser {
         }
     }
 
+    /*  manage the timer for periodically writing snapshots to disk  */
+    updateSnapshotTimer () {
+        /*  clear existing timer  */
+        if (this.snapshotTimer !== null) {
+            clearInterval(this.snapshotTimer)
+            this.snapshotTimer = null
+        }
+        /*  start new timer if enabled and running  */
+        if (this.cfg.ni > 0 && this.content !== null) {
+            this.log.info(`browser: snapshots enabled every ${this.cfg.ni}s`)
+            this.snapshotTimer = setInterval(() => {
+                this.snapshotToDisk().catch((err) => {
+                    this.log.warn(`browser: failed to write snapshot: ${err.message}`)
+                })
+            }, this.cfg.ni * 1000)
+        }
+    }
+
+    /*  manage the timer for periodically applying the recording retention policy  */
+    updateRetentionTimer () {
+        /*  clear existing timer  */
+        if (this.retentionTimer !== null) {
+            clearInterval(this.retentionTimer)
+            this.retentionTimer = null
+        }
+        /*  start new timer if enabled, recording and running  */
+        if ((this.cfg.rk > 0 || this.cfg.rq > 0) && this.cfg.X.some((sink) => sink.e && sink.c)
+            && this.content !== null) {
+            this.log.info(`browser: recording retention enabled (keep days: ${this.cfg.rk}, quota: ${this.cfg.rq}GB)`)
+            const apply = () => {
+                this.applyRecordingRetention().catch((err) => {
+                    this.log.warn(`browser: failed to apply recording retention: ${err.message}`)
+                })
+            }
+            this.retentionTimer = setInterval(apply, 60 * 1000)
+            apply()
+        }
+    }
+
+    /*  manage the frozen-frame/black-frame watchdog  */
+    updateWatchdog () {
+        /*  clear existing timer  */
+        if (this.watchdogTimer !== null) {
+            clearInterval(this.watchdogTimer)
+            this.watchdogTimer = null
+        }
+
+        /*  start new timer if enabled and running  */
+        if (this.cfg.wd && this.content !== null) {
+            const now = Date.now()
+            this.lastPaint    = now
+            this.lastChange   = now
+            this.uniformSince = null
+            this.watchdog.keep = false
+            this.watchdog.next = 0
+            this.setWatchdogState("ok", "")
+            this.log.info(`browser: watchdog enabled (window: ${this.cfg.wt}s, actions: ${this.cfg.wa})`)
+            this.watchdogTimer = setInterval(() => this.checkWatchdog(), 1000)
+        }
+        else
+            this.setWatchdogState("disabled", "")
+    }
+
+    /*  check watchdog conditions and escalate through the configured actions  */
+    checkWatchdog () {
+        if (this.content === null || this.stopping || this.starting)
+            return
+        const now    = Date.now()
+        const window = Math.max(5, this.cfg.wt) * 1000
+
+        /*  detect problem  */
+        let reason = ""
+        if (this.subscribed && now - this.lastPaint > window)
+            reason = "no-paint"
+        else if (this.cfg.wf && now - this.lastChange > window)
+            reason = "frozen"
+        else if (this.cfg.wb && this.uniformSince !== null && now - this.uniformSince > window)
+            reason = (this.luma < 24 ? "black" : "uniform")
+
+        /*  recover  */
+        if (reason === "") {
+            if (this.watchdog.state === "alarm")
+                this.log.info("browser: watchdog: recovered")
+            this.setWatchdogState("ok", "")
+            if (this.watchdog.step > 0 && now - this.watchdog.since > window) {
+                this.watchdog.step = 0
+                this.setWatchdogState("ok", "", true)
+            }
+            return
+        }
+
+        /*  escalate  */
+        if (this.watchdog.state !== "alarm" || this.watchdog.reason !== reason) {
+            this.log.warn(`browser: watchdog: ${reason} detected`)
+            this.setWatchdogState("alarm", reason)
+        }
+        if (now >= this.watchdog.next) {
+            const actions = this.cfg.wa.split(/\s*,\s*/).filter((action) => action !== "")
+            if (this.watchdog.step < actions.length) {
+                const action = actions[this.watchdog.step++]
+                this.watchdog.next = now + window
+                this.watchdog.keep = (action === "restart")
+                this.counters.watchdog++
+                this.log.warn(`browser: watchdog: escalating with action "${action}"`)
+                this.setWatchdogState("alarm", reason, true)
+                this.emit("watchdog-action", action, reason)
+            }
+        }
+    }
+
+    /*  change and announce the watchdog state  */
+    setWatchdogState (state, reason, force = false) {
+        if (!force && this.watchdog.state === state && this.watchdog.reason === reason)
+            return
+        if (this.watchdog.state !== state)
+            this.watchdog.since = Date.now()
+        this.watchdog.state  = state
+        this.watchdog.reason = reason
+        const info = this.watchdogInfo()
+        this.control.webContents.send("watchdog", { ...info, id: this.id })
+        this.publish("watchdog", info)
+    }
+    watchdogInfo () {
+        return {
+            state:  this.watchdog.state,
+            reason: this.watchdog.reason,
+            since:  this.watchdog.since,
+            step:   this.watchdog.step
+        }
+    }
+
+    /*  handle a crashed or hanging renderer: account the incident and
+        determine whether (and after which exponential backoff delay)
+        the instance should be restarted within the per-hour budget  */
+    crashed (reason) {
+        if (this.stopping || this.crash.pending)
+            return
+        const now = Date.now()
+        this.crash.count++
+        this.crash.reason  = reason
+        this.crash.time    = now
+        this.crash.pending = true
+        this.crash.restarts = this.crash.restarts.filter((time) => now - time < 60 * 60 * 1000)
+        const attempt = this.crash.restarts.length
+        let delay = -1
+        if (attempt < this.cfg.cb) {
+            delay = Math.min(2000 * Math.pow(2, attempt), 5 * 60 * 1000)
+            this.crash.restarts.push(now)
+            this.counters.restarts++
+            this.crash.exhausted = false
+        }
+        else
+            this.crash.exhausted = true
+        this.log.error(`browser: renderer crashed (${reason}), ` +
+            (delay >= 0 ? `restarting in ${delay / 1000}s` : "restart budget exhausted"))
+        const info = this.crashInfo()
+        this.control.webContents.send("crash", { ...info, id: this.id })
+        this.publish("crash", info)
+        this.emit("crash", reason, delay)
+    }
+    crashInfo () {
+        return {
+            count:     this.crash.count,
+            reason:    this.crash.reason,
+            time:      this.crash.time,
+            restarts:  this.crash.restarts.length,
+            exhausted: this.crash.exhausted
+        }
+    }
+
+    /*  determine the operating system process ids of the renderers  */
+    processIds () {
+        const pids = {}
+        if (this.worker !== null && !this.worker.isDestroyed())
+            pids.worker = this.worker.webContents.getOSProcessId()
+        if (this.content !== null && !this.content.isDestroyed())
+            pids.content = this.content.webContents.getOSProcessId()
+        return pids
+    }
+
     /*  generate HTML page for media input types  */
-    generateMediaHTML () {
+    async generateMediaHTML () {
+        if (this.cfg.it === "clock")
+            return this.generateClockHTML()
+        else if (this.cfg.it === "ticker")
+            return this.generateTickerHTML()
+        else if (this.cfg.it === "stream")
+            return this.cfg.u !== "" ? this.generateStreamHTML() : null
+        else if (this.cfg.it === "ndi")
+            return this.cfg.u !== "" ? this.generateNDIHTML() : null
+        else if (this.cfg.it === "compositor")
+            return this.generateCompositorHTML()
         const files = this.cfg.if ? this.cfg.if.split("\n").filter((f) => f.trim() !== "") : []
         if (files.length === 0)
             return null
 
-        if (this.cfg.it === "image") {
+        if (this.cfg.it === "template") {
+            /*  graphics template: the local HTML file itself, with its base URL
+                set to its folder (for relative references to its CSS, fonts and images)
+                and a bootstrap script which receives the template commands  */
+            const filePath = files[0].trim()
+            const html     = await fs.promises.readFile(filePath, { encoding: "utf8" })
+            const baseUrl  = `file://${path.dirname(path.resolve(filePath)).replace(/\\/g, "/")}/`
+            const inject   = `<base href="${baseUrl.replace(/"/g, "%22")}"/>
+<script>
+(function () {
+    /*  fill the elements with a "data-field" attribute from the template data  */
+    const fill = (data) => {
+        for (const name of Object.keys(data)) {
+            document.querySelectorAll("[data-field=\\"" + CSS.escape(name) + "\\"]").forEach((el) => {
+                if (el.tagName === "IMG" || el.tagName === "VIDEO")
+                    el.src = data[name];
+                else
+                    el.textContent = data[name];
+            });
+        }
+    };
+
+    /*  dispatch the template commands (CasparCG-style update/play/stop/next)
+        to the optional global functions of the template and as DOM event  */
+    vingester.onTemplate((command, data) => {
+        if (command === "update")
+            fill(data);
+        const fn = window[command];
+        if (typeof fn === "function")
+            fn(command === "update" ? JSON.stringify(data) : undefined);
+        document.dispatchEvent(new CustomEvent("vingester-template", {
+            bubbles: false, cancelable: false, detail: { command, data }
+        }));
+    });
+})();
+</script>`
+            const m = html.match(/<head(?:\s[^>]*)?>/i)
+            if (m !== null)
+                return html.slice(0, m.index + m[0].length) + "\n" + inject + html.slice(m.index + m[0].length)
+            return inject + "\n" + html
+        }
+        else if (this.cfg.it === "image") {
             /*  single image display  */
             const filePath = files[0]
             const fileUrl = `file://${filePath.replace(/\\/g, "/")}`
@@ -212,11 +552,18 @@ img { width: 100%; height: 100%; object-fit: contain; display: block; }
 </html>`
         }
         else if (this.cfg.it === "slideshow") {
-            /*  slideshow with CSS fade transitions  */
-            const intervalMs = Math.max(1, this.cfg.si) * 1000
-            const fadeMs     = Math.max(0.1, Math.min(this.cfg.sf, this.cfg.si * 0.9)) * 1000
-            const fileUrls   = files.map((f) => `file://${f.replace(/\\/g, "/")}`)
-            const urlsJson   = JSON.stringify(fileUrls)
+            /*  slideshow playlist with transitions, where the playback runs in
+                the page and is controlled by us (see slideshow())  */
+            const cfg = JSON.stringify({
+                items:      await this.slideshowLoad(),
+                interval:   Math.max(1, this.cfg.si) * 1000,
+                fade:       Math.max(0, this.cfg.sf) * 1000,
+                transition: this.cfg.st,
+                videoEnd:   this.cfg.sv,
+                audio:      this.cfg.sa,
+                shuffle:    this.cfg.sr,
+                loop:       this.cfg.so
+            })
             return `<!DOCTYPE html>
 <html>
 <head>
@@ -226,10 +573,8 @@ img { width: 100%; height: 100%; object-fit: contain; display: block; }
 html, body { width: 100%; height: 100%; overflow: hidden; background: transparent; }
 .slide {
     position: absolute; top: 0; left: 0; width: 100%; height: 100%;
-    opacity: 0;
-    transition: opacity ${fadeMs}ms ease-in-out;
+    opacity: 0; z-index: 0;
 }
-.slide.active { opacity: 1; }
 img, video {
     width: 100%; height: 100%; object-fit: contain; display: block;
 }
@@ -237,60 +582,685 @@ img, video {
 </head>
 <body>
 <script>
-(function() {
-    const files = ${urlsJson};
-    const interval = ${intervalMs};
-    const fade = ${fadeMs};
-    let current = 0;
-    const container = document.body;
-
-    function isVideo(url) {
-        return /\\.(mp4|webm|ogg|mov)$/i.test(url);
-    }
-
-    function createSlide(url) {
+(function () {
+    const cfg     = ${cfg};
+    let   order   = [];
+    let   pos     = -1;
+    let   current = null;
+    let   paused  = false;
+    let   ended   = false;
+    let   timer   = null;
+    let   due     = 0;
+    let   left    = 0;
+    let   pending = [];
+
+    /*  create the slides  */
+    const create = (item) => {
         const div = document.createElement("div");
         div.className = "slide";
-        if (isVideo(url)) {
+        if (item.video) {
             const v = document.createElement("video");
-            v.src = url; v.autoplay = false; v.loop = false; v.muted = true; v.playsInline = true;
+            v.src = item.url; v.preload = "auto"; v.playsInline = true; v.muted = !cfg.audio;
+            v.addEventListener("ended", () => {
+                if (slides[current] === div && !paused)
+                    advance(1);
+            });
+            v.addEventListener("error", () => {
+                if (slides[current] === div && !paused)
+                    schedule(cfg.interval);
+            });
             div.appendChild(v);
-        } else {
+        }
+        else {
             const img = document.createElement("img");
-            img.src = url; img.alt = "";
+            img.src = item.url; img.alt = "";
             div.appendChild(img);
         }
+        document.body.appendChild(div);
         return div;
+    };
+    let slides = cfg.items.map(create);
+
+    /*  determine the playback order (optionally shuffled)  */
+    const reorder = () => {
+        order = cfg.items.map((item, i) => i);
+        if (cfg.shuffle) {
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [ order[i], order[j] ] = [ order[j], order[i] ];
+            }
+        }
+    };
+
+    /*  determine the duration of an item (or "end" for advancing at its end)  */
+    const duration = (idx) => {
+        const item = cfg.items[idx];
+        if (item.duration === "end")
+            return item.video ? "end" : cfg.interval;
+        if (item.duration !== null)
+            return item.duration * 1000;
+        return item.video && cfg.videoEnd ? "end" : cfg.interval;
+    };
+
+    /*  report the playback state  */
+    const report = () => {
+        vingester.slideshowState({ index: current, position: pos, count: cfg.items.length, paused, ended });
+    };
+
+    /*  schedule the advance to the next item  */
+    const schedule = (ms) => {
+        if (timer !== null)
+            clearTimeout(timer);
+        due   = Date.now() + ms;
+        timer = setTimeout(() => { timer = null; advance(1); }, ms);
+    };
+
+    /*  apply styles to a slide (optionally transitioned)  */
+    const style = (el, styles, ms) => {
+        el.style.transition = ms > 0 ? Object.keys(styles).map((p) =>
+            p.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase()) + " " + ms + "ms ease-in-out").join(", ") : "none";
+        Object.assign(el.style, styles);
+    };
+    const later = (fn, ms) => { pending.push(setTimeout(fn, ms)); };
+    const hidden = { opacity: "0", transform: "none", clipPath: "none", zIndex: "0" };
+
+    /*  show an item with the configured transition  */
+    const show = (idx, forward) => {
+        pending.forEach((t) => clearTimeout(t));
+        pending = [];
+        const prev = current !== null && current !== idx ? slides[current] : null;
+        const next = slides[idx];
+        const stop = (el) => {
+            style(el, hidden, 0);
+            const v = el.querySelector("video");
+            if (v !== null && !v.paused)
+                v.pause();
+        };
+        slides.forEach((el) => { if (el !== prev && el !== next) stop(el); });
+        current = idx;
+        const d   = duration(idx);
+        const ms  = prev === null || cfg.transition === "cut" ? 0 :
+            Math.min(cfg.fade, (d === "end" ? cfg.interval : d) * 0.9);
+        const dir = forward ? 1 : -1;
+
+        /*  start the item  */
+        const v = next.querySelector("video");
+        if (v !== null) {
+            v.loop = (d !== "end");
+            v.currentTime = 0;
+            if (!paused)
+                v.play().catch(() => {});
+        }
+        if (!paused && d !== "end")
+            schedule(d);
+        else if (paused)
+            left = d === "end" ? 0 : d;
+
+        /*  perform the transition  */
+        const done = () => {
+            if (prev !== null)
+                stop(prev);
+        };
+        if (ms === 0) {
+            style(next, { ...hidden, opacity: "1", zIndex: "2" }, 0);
+            done();
+        }
+        else if (cfg.transition === "black") {
+            style(prev, { opacity: "0" }, ms / 2);
+            style(next, { ...hidden, zIndex: "2" }, 0);
+            later(() => { done(); style(next, { opacity: "1" }, ms / 2); }, ms / 2);
+        }
+        else {
+            if (cfg.transition === "slide") {
+                style(next, { ...hidden, opacity: "1", zIndex: "2", transform: "translateX(" + (dir * 100) + "%)" }, 0);
+                style(prev, { transform: "translateX(0%)" }, 0);
+            }
+            else if (cfg.transition === "wipe")
+                style(next, { ...hidden, opacity: "1", zIndex: "2", clipPath: forward ? "inset(0 100% 0 0)" : "inset(0 0 0 100%)" }, 0);
+            else
+                style(next, { ...hidden, zIndex: "2" }, 0);
+            style(prev, { zIndex: "1" }, 0);
+            void next.offsetWidth;
+            if (cfg.transition === "slide") {
+                style(next, { transform: "translateX(0%)" }, ms);
+                style(prev, { transform: "translateX(" + (-dir * 100) + "%)" }, ms);
+            }
+            else if (cfg.transition === "wipe")
+                style(next, { clipPath: "inset(0 0 0 0)" }, ms);
+            else
+                style(next, { opacity: "1" }, ms);
+            later(done, ms);
+        }
+        report();
+    };
+
+    /*  advance to the next/previous item in the playback order  */
+    const advance = (delta) => {
+        if (order.length === 0)
+            return report();
+        let p = pos + delta;
+        if (p >= order.length) {
+            if (!cfg.loop) {
+                ended = true;
+                if (timer !== null)
+                    clearTimeout(timer);
+                timer = null;
+                report();
+                return;
+            }
+            reorder();
+            p = 0;
+        }
+        else if (p < 0)
+            p = cfg.loop ? order.length - 1 : 0;
+        ended = false;
+        pos   = p;
+        show(order[pos], delta >= 0);
+    };
+
+    /*  pause and resume the playback  */
+    const pause = () => {
+        if (paused)
+            return report();
+        paused = true;
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+            left  = Math.max(0, due - Date.now());
+        }
+        else
+            left = 0;
+        const v = current !== null ? slides[current].querySelector("video") : null;
+        if (v !== null)
+            v.pause();
+        report();
+    };
+    const resume = () => {
+        if (!paused)
+            return report();
+        paused = false;
+        const v = current !== null ? slides[current].querySelector("video") : null;
+        if (v !== null)
+            v.play().catch(() => {});
+        if (current === null)
+            return advance(1);
+        if (duration(current) !== "end" && !ended)
+            schedule(left);
+        report();
+    };
+
+    /*  take over a changed playlist (of a watched folder): keep the slides
+        of unchanged files and continue with the shown file (if still existing)  */
+    const update = (items) => {
+        const shown = current !== null ? slides[current] : null;
+        const known = new Map(cfg.items.map((item, i) => [ item.url, slides[i] ]));
+        const keep  = new Set(items.map((item) => item.url));
+        slides = items.map((item) => known.get(item.url) ?? create(item));
+        for (const [ url, el ] of known) {
+            if (!keep.has(url) && el !== shown) {
+                const v = el.querySelector("video");
+                if (v !== null)
+                    v.pause();
+                el.remove();
+            }
+        }
+        cfg.items = items;
+        reorder();
+        const idx = slides.indexOf(shown);
+        if (shown !== null && idx < 0) {
+            /*  the shown file was removed: cut to the next one  */
+            shown.remove();
+            current = null;
+            pos     = -1;
+            if (!paused)
+                advance(1);
+            else
+                report();
+        }
+        else if (shown === null) {
+            pos = -1;
+            advance(1);
+        }
+        else {
+            current = idx;
+            pos     = order.indexOf(idx);
+            report();
+        }
+    };
+
+    /*  receive the slideshow commands  */
+    vingester.onSlideshow((command, value) => {
+        if (command === "playlist")
+            update(value);
+        else if (command === "next")
+            advance(1);
+        else if (command === "previous")
+            advance(-1);
+        else if (command === "goto") {
+            const p = order.indexOf(value);
+            if (p >= 0) {
+                const forward = (p >= pos);
+                ended = false;
+                pos   = p;
+                show(order[pos], forward);
+            }
+        }
+        else if (command === "pause")
+            pause();
+        else if (command === "play")
+            resume();
+        else
+            report();
+    });
+
+    reorder();
+    advance(1);
+})();
+</script>
+</body>
+</html>`
+        }
+        return null
     }
 
-    const slides = files.map(createSlide);
-    slides.forEach(s => container.appendChild(s));
+    /*  generate HTML page for the clock input type: a wall clock (optionally
+        in another time zone), a countdown or a stopwatch, where the timer state
+        is owned by us and passed to the page (see clock())  */
+    generateClockHTML () {
+        const css = (value, def) => String(value || def).replace(/[;{}<>]/g, "")
+        const cfg = JSON.stringify({ mode: this.cfg.cm, timezone: this.cfg.cz })
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8"/>
+<style>
+* { margin: 0; padding: 0; box-sizing: border-box; }
+html, body {
+    width: 100%; height: 100%; overflow: hidden;
+    background: ${css(this.cfg.cg, "transparent")};
+}
+body { display: flex; align-items: center; justify-content: center; }
+#clock {
+    font-family: ${css(this.cfg.cs, "sans-serif")};
+    font-size: ${Math.max(1, Math.min(100, parseInt(this.cfg.cx) || 30))}vh;
+    font-variant-numeric: tabular-nums;
+    color: ${css(this.cfg.cc, "#ffffff")};
+    white-space: nowrap;
+}
+#clock.expired { opacity: 0.6; }
+</style>
+</head>
+<body>
+<div id="clock"></div>
+<script>
+(function () {
+    const cfg   = ${cfg};
+    const el    = document.getElementById("clock");
+    const pad   = (n) => String(n).padStart(2, "0");
+    let   state = { running: false, base: 0, since: 0 };
+
+    /*  determine the wall clock formatter (falling back to the local time zone)  */
+    let wall;
+    try {
+        wall = new Intl.DateTimeFormat("en-GB", { timeZone: cfg.timezone || undefined,
+            hour: "2-digit", minute: "2-digit", second: "2-digit", hour12: false });
+    } catch (ex) {
+        wall = new Intl.DateTimeFormat("en-GB", {
+            hour: "2-digit", minute: "2-digit", second: "2-digit", hour12: false });
+    }
 
-    function showSlide(idx) {
-        slides.forEach(s => s.classList.remove("active"));
-        const slide = slides[idx];
-        if (isVideo(slide.querySelector("video, img").tagName === "VIDEO" ? slide.querySelector("video") : null)) {
-            const v = slide.querySelector("video");
-            if (v) { v.currentTime = 0; v.play().catch(() => {}); }
+    /*  format a duration as [-]HH:MM:SS  */
+    const duration = (ms) => {
+        const s = Math.floor(Math.abs(ms) / 1000);
+        return pad(Math.floor(s / 3600)) + ":" + pad(Math.floor(s / 60) % 60) + ":" + pad(s % 60);
+    };
+
+    const render = () => {
+        let text;
+        if (cfg.mode === "countdown") {
+            let remaining = state.base - (state.running ? Date.now() - state.since : 0);
+            el.classList.toggle("expired", remaining <= 0);
+            text = duration(Math.max(0, remaining + 999));
         }
-        slide.classList.add("active");
+        else if (cfg.mode === "stopwatch")
+            text = duration(state.base + (state.running ? Date.now() - state.since : 0));
+        else
+            text = wall.format(new Date());
+        if (el.textContent !== text)
+            el.textContent = text;
+    };
+    vingester.onClock((update) => { state = update; render(); });
+    render();
+    setInterval(render, 50);
+})();
+</script>
+</body>
+</html>`
     }
 
-    if (slides.length > 0) {
-        showSlide(0);
-        if (slides.length > 1) {
-            setInterval(function() {
-                current = (current + 1) % slides.length;
-                showSlide(current);
-            }, interval);
+    /*  generate HTML page for the ticker input type: a crawl of the ticker
+        items in a band, where the items are owned by us and passed to the page
+        (see initTicker() and ticker()) and item changes take effect with the next pass  */
+    generateTickerHTML () {
+        const css  = (value, def) => String(value || def).replace(/[;{}<>]/g, "")
+        const size = Math.max(1, Math.min(100, parseInt(this.cfg.xz) || 6))
+        const pos  = this.cfg.xa === "top" ? "top: 0;" :
+            this.cfg.xa === "center" ? "top: 50%; transform: translateY(-50%);" : "bottom: 0;"
+        const cfg  = JSON.stringify({
+            speed:     Math.max(1, parseInt(this.cfg.xv) || 120),
+            direction: this.cfg.xd === "right" ? "right" : "left"
+        })
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8"/>
+<style>
+* { margin: 0; padding: 0; box-sizing: border-box; }
+html, body { width: 100%; height: 100%; overflow: hidden; background: transparent; }
+#band {
+    position: absolute; left: 0; right: 0; ${pos}
+    height: ${size * 1.6}vh; overflow: hidden;
+    background: ${css(this.cfg.xg, "transparent")};
+}
+#track {
+    position: absolute; top: 0; left: 0; height: 100%;
+    display: flex; align-items: center; white-space: nowrap; will-change: transform;
+    font-family: ${css(this.cfg.xn, "sans-serif")};
+    font-size: ${size}vh;
+    color: ${css(this.cfg.xc, "#ffffff")};
+}
+#track .item { padding: 0 0.5em; }
+#track .sep  { opacity: 0.6; }
+</style>
+</head>
+<body>
+<div id="band"><div id="track"></div></div>
+<script>
+(function () {
+    const cfg     = ${cfg};
+    const band    = document.getElementById("band");
+    const track   = document.getElementById("track");
+    let   items   = [];
+    let   pending = null;
+    let   x       = null;
+    let   last    = null;
+
+    /*  render the items into the track  */
+    const fill = () => {
+        track.textContent = "";
+        items.forEach((item, i) => {
+            if (i > 0) {
+                const sep = document.createElement("span");
+                sep.className   = "sep";
+                sep.textContent = "\u2022";
+                track.appendChild(sep);
+            }
+            const el = document.createElement("span");
+            el.className   = "item";
+            el.textContent = item;
+            track.appendChild(el);
+        });
+    };
+
+    /*  move the track and start the next pass (with the latest items)
+        once it has left the band completely  */
+    const step = (now) => {
+        const dt = last === null ? 0 : (now - last) / 1000;
+        last = now;
+        const left = (cfg.direction === "left");
+        if (x === null || (left ? x + track.scrollWidth < 0 : x > band.clientWidth)) {
+            if (pending !== null) {
+                items   = pending;
+                pending = null;
+                fill();
+            }
+            x = left ? band.clientWidth : -track.scrollWidth;
         }
+        else
+            x += (left ? -1 : 1) * cfg.speed * dt;
+        track.style.transform = "translateX(" + x + "px)";
+        requestAnimationFrame(step);
+    };
+    vingester.onTicker((update) => {
+        pending = update;
+        if (items.length === 0)
+            x = null;
+    });
+    requestAnimationFrame(step);
+})();
+</script>
+</body>
+</html>`
     }
+
+    /*  generate HTML page for the stream input type: the fragmented MP4 segments
+        of the FFmpeg decoding (see initStream()) are played through Media Source
+        Extensions (MSE), always staying close to the live edge  */
+    generateStreamHTML () {
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8"/>
+<style>
+* { margin: 0; padding: 0; box-sizing: border-box; }
+html, body { width: 100%; height: 100%; overflow: hidden; background: transparent; }
+video { width: 100%; height: 100%; object-fit: contain; display: block; }
+</style>
+</head>
+<body>
+<video autoplay playsinline></video>
+<script>
+(function () {
+    const video  = document.querySelector("video");
+    let   source = null;
+    let   buffer = null;
+    let   queue  = [];
+
+    /*  append the queued segments one after another, dropping the
+        already played media and chasing the live edge on the way  */
+    const append = () => {
+        if (buffer === null || buffer.updating || queue.length === 0)
+            return;
+        const ranges = buffer.buffered;
+        if (ranges.length > 0) {
+            const end = ranges.end(ranges.length - 1);
+            if (end - video.currentTime > 1.5)
+                video.currentTime = end - 0.25;
+            if (video.currentTime - ranges.start(0) > 30) {
+                buffer.remove(ranges.start(0), video.currentTime - 10);
+                return;
+            }
+        }
+        try {
+            buffer.appendBuffer(queue[0]);
+            queue.shift();
+        }
+        catch (ex) {
+            /*  on a full buffer, retry with the next segment  */
+            if (ex.name !== "QuotaExceededError")
+                vingester.log("stream: failed to append segment: " + ex.message);
+        }
+    };
+
+    /*  (re)start playback with a new initialization segment  */
+    const init = (mime, data) => {
+        if (!MediaSource.isTypeSupported(mime)) {
+            vingester.log("stream: unsupported media type: " + mime);
+            return;
+        }
+        queue  = [ data ];
+        buffer = null;
+        source = new MediaSource();
+        const current = source;
+        current.addEventListener("sourceopen", () => {
+            if (current !== source)
+                return;
+            URL.revokeObjectURL(video.src);
+            current.duration = Infinity;
+            buffer = current.addSourceBuffer(mime);
+            buffer.mode = "segments";
+            buffer.addEventListener("updateend", append);
+            append();
+        });
+        video.src = URL.createObjectURL(current);
+        video.play().catch(() => {});
+    };
+
+    vingester.onStream((type, data, mime) => {
+        if (type === "init")
+            init(mime, data);
+        else if (type === "segment" && source !== null) {
+            queue.push(data);
+            append();
+        }
+    });
 })();
 </script>
 </body>
 </html>`
+    }
+
+    /*  generate HTML page for the NDI input type: the video frames of the NDI
+        receiver (see initReceiver()) are drawn onto a canvas (keeping the last
+        frame on signal losses) and its audio frames are played through an
+        audio element (so they are captured for the outputs like any other audio)  */
+    generateNDIHTML () {
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8"/>
+<style>
+* { margin: 0; padding: 0; box-sizing: border-box; }
+html, body { width: 100%; height: 100%; overflow: hidden; background: transparent; }
+canvas { width: 100%; height: 100%; object-fit: contain; display: block; }
+</style>
+</head>
+<body>
+<canvas width="1" height="1"></canvas>
+<audio autoplay></audio>
+<script>
+(function () {
+    const canvas = document.querySelector("canvas");
+    const ctx    = canvas.getContext("2d");
+    const audio  = document.querySelector("audio");
+    let   ac     = null;
+    let   dest   = null;
+    let   next   = 0;
+
+    /*  draw a video frame (tightly packed RGBA)  */
+    const video = (frame) => {
+        if (canvas.width !== frame.width || canvas.height !== frame.height) {
+            canvas.width  = frame.width;
+            canvas.height = frame.height;
         }
-        return null
+        const pixels = new Uint8ClampedArray(frame.data.buffer, frame.data.byteOffset, frame.data.byteLength);
+        ctx.putImageData(new ImageData(pixels, frame.width, frame.height), 0, 0);
+    };
+
+    /*  schedule an audio frame (planar 32-bit floats) gaplessly after the
+        previous one, resynchronizing with a small latency on under- or overruns  */
+    const sound = (frame) => {
+        if (ac === null || ac.sampleRate !== frame.sampleRate) {
+            if (ac !== null)
+                ac.close();
+            ac   = new AudioContext({ sampleRate: frame.sampleRate });
+            dest = ac.createMediaStreamDestination();
+            audio.srcObject = dest.stream;
+            audio.play().catch(() => {});
+            next = 0;
+        }
+        const samples = new Float32Array(new Uint8Array(frame.data).buffer);
+        const buffer  = ac.createBuffer(frame.channels, frame.samples, frame.sampleRate);
+        for (let ch = 0; ch < frame.channels; ch++) {
+            const offset = ch * frame.stride / 4;
+            buffer.copyToChannel(samples.subarray(offset, offset + frame.samples), ch);
+        }
+        const source = ac.createBufferSource();
+        source.buffer = buffer;
+        source.connect(dest);
+        const now = ac.currentTime;
+        if (next < now + 0.02 || next > now + 0.5)
+            next = now + 0.1;
+        source.start(next);
+        next += buffer.duration;
+    };
+
+    vingester.onNDI((type, frame) => {
+        if (type === "video")
+            video(frame);
+        else if (type === "audio")
+            sound(frame);
+    });
+})();
+</script>
+</body>
+</html>`
+    }
+
+    /*  generate HTML page for the compositor input type: one layer per
+        configured source, whose frames are passed in by us (see initCompositor())  */
+    generateCompositorHTML () {
+        const layers = this.compositorLayout()
+        const html = layers.map((layer, i) => {
+            const style = [
+                `left: ${layer.x}%`, `top: ${layer.y}%`, `width: ${layer.w}%`, `height: ${layer.h}%`,
+                `z-index: ${layer.z}`, `opacity: ${layer.opacity}`,
+                `border: ${layer.border.width}px solid ${layer.border.color}`
+            ].join("; ")
+            return `<div class="layer" style="${style}"><canvas id="layer-${i}" width="1" height="1" ` +
+                `style="object-fit: ${layer.fit}"></canvas></div>`
+        }).join("\n")
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8"/>
+<style>
+* { margin: 0; padding: 0; box-sizing: border-box; }
+html, body { width: 100%; height: 100%; overflow: hidden; background: transparent; }
+.layer  { position: absolute; overflow: hidden; }
+canvas  { width: 100%; height: 100%; display: block; visibility: hidden; }
+</style>
+</head>
+<body>
+${html}
+<script>
+(function () {
+    /*  draw a frame (BGRA, as captured) onto the canvas of a layer  */
+    const draw = (index, frame) => {
+        const canvas = document.getElementById("layer-" + index);
+        if (canvas === null)
+            return;
+        if (canvas.width !== frame.width || canvas.height !== frame.height) {
+            canvas.width  = frame.width;
+            canvas.height = frame.height;
+        }
+        const bgra = new Uint32Array(new Uint8Array(frame.data).buffer);
+        for (let i = 0; i < bgra.length; i++) {
+            const p = bgra[i];
+            bgra[i] = (p & 0xff00ff00) | ((p & 0xff) << 16) | ((p >> 16) & 0xff);
+        }
+        const pixels = new Uint8ClampedArray(bgra.buffer);
+        canvas.getContext("2d").putImageData(new ImageData(pixels, frame.width, frame.height), 0, 0);
+        canvas.style.visibility = "visible";
+    };
+
+    /*  hide a layer whose source went away  */
+    const clear = (index) => {
+        const canvas = document.getElementById("layer-" + index);
+        if (canvas !== null)
+            canvas.style.visibility = "hidden";
+    };
+
+    vingester.onCompositor((command, index, frame) => {
+        if (command === "frame")
+            draw(index, frame);
+        else if (command === "clear")
+            clear(index);
+    });
+})();
+</script>
+</body>
+</html>`
     }
 
     /*  start browser  */
@@ -298,8 +1268,24 @@ img, video {
         if (this.starting)
             return
         this.starting = true
+        this.crash.pending = false
+        this.counters.starts++
+        this.initTemplate()
+        this.initClock()
+        this.initTicker()
+        this.initSlideshow()
+        this.initStream()
+        this.initReceiver()
+        this.initCompositor()
         this.log.info("browser: start")
 
+        /*  ensure the recording directory exists  */
+        if (this.cfg.X.some((sink) => sink.e && (sink.c || this.cfg.rd !== ""))) {
+            await fs.promises.mkdir(this.recordingDir(), { recursive: true }).catch((err) => {
+                this.log.warn(`browser: failed to create recording directory: ${err.message}`)
+            })
+        }
+
         /*  create worker browser window (offscreen only)  */
         const worker = new electron.BrowserWindow({
             offscreen:       true,
@@ -319,9 +1305,10 @@ img, video {
                 spellcheck:                 false,
                 additionalArguments:        [ "vingester-cfg-" + btoa(unescape(encodeURIComponent(JSON.stringify({
                     ...this.cfg,
-                    controlId:  this.control.webContents.id,
-                    ffmpeg:     this.ffmpeg,
-                    ffmpegCwd:  electron.app.getPath("videos")
+                    controlId:    this.control.webContents.id,
+                    ffmpeg:       this.ffmpeg,
+                    ffmpegCwd:    this.cfg.rd !== "" ? this.recordingDir() : electron.app.getPath("videos"),
+                    recordingDir: this.recordingDir()
                 })))) ]
             }
         })
@@ -400,9 +1387,45 @@ img, video {
 
         /*  receive worker information  */
         let tallyLast = ""
+        let connectionsLast = -1
         worker.webContents.on("ipc-message", (ev, channel, msg) => {
-            if (channel === "tally") {
+            if (channel === "rate" || channel === "burst")
+                this.publish(channel, msg)
+            else if (channel === "watchdog") {
+                /*  receive frame analysis results  */
+                this.lastChange   = msg.lastChange
+                this.uniformSince = msg.uniformSince
+                this.luma         = msg.luma
+            }
+            else if (channel === "ffmpeg") {
+                /*  receive FFmpeg process state  */
+                const { id, ...data } = msg
+                this.publish("ffmpeg", data)
+            }
+            else if (channel === "recording") {
+                /*  receive recording status  */
+                const { id, ...data } = msg
+                this.publish("recording", data)
+            }
+            else if (channel === "recording-result") {
+                /*  receive result of recording command  */
+                const resolve = this.recPending[msg.request]
+                if (resolve !== undefined) {
+                    delete this.recPending[msg.request]
+                    resolve(msg)
+                }
+            }
+            else if (channel === "srt") {
+                /*  receive SRT connection state and statistics  */
+                const { id, ...data } = msg
+                this.publish("srt", data)
+            }
+            else if (channel === "tally") {
                 /*  receive tally status  */
+                if (msg.status !== this.live.tally || msg.connections !== connectionsLast) {
+                    connectionsLast = msg.connections
+                    this.publish("tally", { status: msg.status, connections: msg.connections })
+                }
                 this.tally = msg.status
                 if (this.tally !== tallyLast) {
                     tallyLast = this.tally
@@ -546,6 +1569,12 @@ img, video {
         this.subscriber = (ev, dirty, image) => {
             if (this.worker === null || this.worker.isDestroyed())
                 return
+            this.lastPaint = Date.now()
+            if (this.holding)
+                return
+            this.lastImage = image
+            if (this.listenerCount("frame") > 0)
+                this.emit("frame", image)
             const buffer = image.getBitmap()
             const size   = image.getSize()
             const ratio  = image.getAspectRatio()
@@ -567,6 +1596,48 @@ img, video {
             /*  optionally send to control user interface  */
             if (this.control !== null && !this.control.isDestroyed())
                 this.control.webContents.send("trace", { level, message, id: this.id })
+            this.publish("trace", { level, message })
+        })
+
+        /*  detect crashed or hanging renderers  */
+        worker.webContents.on("render-process-gone", (ev, details) => {
+            this.crashed(`worker renderer gone: ${details.reason}`)
+        })
+        content.webContents.on("render-process-gone", (ev, details) => {
+            this.crashed(`content renderer gone: ${details.reason}`)
+        })
+        content.on("unresponsive", () => {
+            if (this.hangTimer !== null)
+                return
+            this.log.warn("browser: content renderer became unresponsive")
+            this.hangTimer = setTimeout(() => {
+                this.hangTimer = null
+                this.crashed("content renderer unresponsive")
+            }, 10 * 1000)
+        })
+        content.on("responsive", () => {
+            if (this.hangTimer === null)
+                return
+            this.log.info("browser: content renderer became responsive again")
+            clearTimeout(this.hangTimer)
+            this.hangTimer = null
+        })
+
+        /*  receive content statistics and slideshow states  */
+        content.webContents.on("ipc-message", (ev, channel, msg) => {
+            if (channel === "stat")
+                this.publish("stat", { fps: msg.fps, memUsed: msg.memUsed, memAvail: msg.memAvail })
+            else if (channel === "slideshow") {
+                this.slideshowState = {
+                    index:    msg.index,
+                    position: msg.position,
+                    count:    msg.count,
+                    paused:   msg.paused,
+                    ended:    msg.ended
+                }
+                this.publish("slideshow", this.slideshowState)
+                this.emit("slideshow-state", this.slideshowState)
+            }
         })
 
         /*  ignore certain window events  */
@@ -609,6 +1680,27 @@ img, video {
         this.content = content
 
         /*  adjust contents  */
+        /*  (re)send the current graphics template, clock state, ticker items,
+            watched-folder playlist, stream initialization or compositor
+            frames after every (re)load  */
+        content.webContents.on("did-finish-load", () => {
+            if (this.cfg.it === "template") {
+                content.webContents.send("template", "update", this.templateData)
+                if (this.templatePlaying)
+                    content.webContents.send("template", "play", null)
+            }
+            else if (this.cfg.it === "clock")
+                content.webContents.send("clock", this.clockState)
+            else if (this.cfg.it === "ticker")
+                content.webContents.send("ticker", this.tickerItems)
+            else if (this.cfg.it === "slideshow" && this.slideshowWatch !== null)
+                content.webContents.send("slideshow", "playlist", this.slideshowItems)
+            else if (this.cfg.it === "stream" && this.stream !== null && this.stream.init !== null)
+                content.webContents.send("stream", "init", this.stream.init.data, this.stream.init.mime)
+            else if (this.cfg.it === "compositor" && this.compositor !== null)
+                this.compositor.refresh()
+        })
+
         content.webContents.on("dom-ready", async (ev) => {
             /*  load postload script once the DOM is ready  */
             const code = await fs.promises.readFile(
@@ -662,23 +1754,7 @@ img, video {
         })
 
         /*  determine the URL to load  */
-        let loadUrl = this.cfg.u
-        if (this.cfg.it !== "url") {
-            /*  generate HTML for media input type and write to temp file  */
-            const html = this.generateMediaHTML()
-            if (html !== null) {
-                const tmpPath = path.join(
-                    electron.app.getPath("userData"),
-                    `generated-${this.id}.html`
-                )
-                await fs.promises.writeFile(tmpPath, html, { encoding: "utf8" })
-                loadUrl = `file://${tmpPath.replace(/\\/g, "/")}`
-                this.log.info(`browser: using generated media HTML at: ${tmpPath}`)
-            }
-            else {
-                this.log.warn("browser: media input type set but no files configured, falling back to URL")
-            }
-        }
+        const loadUrl = await this.contentURL()
 
         /*  finally load the Web Content  */
         return new Promise((resolve, reject) => {
@@ -693,8 +1769,11 @@ img, video {
                 ev.preventDefault()
                 this.log.info("browser: content: started")
                 this.update()
-                /*  start auto-refresh timer after successful load  */
+                /*  start auto-refresh, snapshot and recording retention timers and watchdog after successful load  */
                 this.updateRefreshTimer()
+                this.updateSnapshotTimer()
+                this.updateRetentionTimer()
+                this.updateWatchdog()
                 this.starting = false
                 resolve(true)
             })
@@ -702,6 +1781,851 @@ img, video {
         })
     }
 
+    /*  determine the URL to load into the content browser  */
+    async contentURL () {
+        let loadUrl = this.cfg.u
+        if (this.cfg.it !== "url") {
+            /*  generate HTML for media input type and write to temp file  */
+            const html = await this.generateMediaHTML()
+            if (html !== null) {
+                const tmpPath = path.join(
+                    electron.app.getPath("userData"),
+                    `generated-${this.id}.html`
+                )
+                await fs.promises.writeFile(tmpPath, html, { encoding: "utf8" })
+                loadUrl = `file://${tmpPath.replace(/\\/g, "/")}`
+                this.log.info(`browser: using generated media HTML at: ${tmpPath}`)
+            }
+            else {
+                this.log.warn("browser: media input type set but no files configured, falling back to URL")
+            }
+        }
+        return loadUrl
+    }
+
+    /*  navigate the running content browser to a new URL or new media files
+        while the worker browser (and hence its NDI/FFmpeg senders) keeps running;
+        during the load, the senders receive either the last frame ("frame"),
+        a slate image or black ("slate") or just the loading content ("none")  */
+    async navigate (target, hold = "frame", slate = "") {
+        if (this.content === null || this.content.isDestroyed())
+            throw new Error("still not started")
+        const initInput = () => {
+            this.initTemplate()
+            this.initClock()
+            this.initTicker()
+            this.initSlideshow()
+            this.initStream()
+            this.initReceiver()
+            this.initCompositor()
+            this.slideshowState = null
+            this.live.slideshow = null
+        }
+
+        /*  switch to the new input, but remember the previous one, so it can be
+            restored if the new one cannot be loaded (as the configuration of a
+            running instance has to keep matching the stored one)  */
+        const previous = {}
+        for (const key of [ "it", "u", "if" ]) {
+            previous[key] = this.cfg[key]
+            if (target[key] !== undefined)
+                this.cfg[key] = target[key]
+        }
+        initInput()
+        const wc = this.content.webContents
+        try {
+            const loadUrl = await this.contentURL()
+            this.log.info(`browser: navigate to: ${loadUrl} (hold: ${hold})`)
+            if (hold !== "none")
+                this.startHold(hold, slate)
+            await new Promise((resolve, reject) => {
+                const cleanup = () => {
+                    wc.off("did-finish-load", onFinish)
+                    wc.off("did-fail-load",   onFail)
+                }
+                const onFinish = () => {
+                    cleanup()
+                    resolve()
+                }
+                const onFail = (ev, code, desc, url, isMainFrame) => {
+                    /*  ignore sub-frames and aborts caused by redirects  */
+                    if (!isMainFrame || code === -3)
+                        return
+                    cleanup()
+                    reject(new Error(`failed to load "${url}": ${desc} (code: ${code})`))
+                }
+                wc.on("did-finish-load", onFinish)
+                wc.on("did-fail-load",   onFail)
+                wc.loadURL(loadUrl).catch(() => {})
+            })
+        }
+        catch (err) {
+            this.log.warn(`browser: navigate failed (restoring previous input): ${err.message}`)
+            Object.assign(this.cfg, previous)
+            initInput()
+            if (!wc.isDestroyed())
+                wc.loadURL(await this.contentURL()).catch(() => {})
+            throw err
+        }
+        finally {
+            /*  give the new content a moment for its first paint  */
+            if (this.holding)
+                setTimeout(() => this.stopHold(), 500)
+        }
+        if (this.cfg.it === "url") {
+            const tmpPath = path.join(electron.app.getPath("userData"), `generated-${this.id}.html`)
+            fs.promises.unlink(tmpPath).catch(() => {})
+        }
+        this.updateRefreshTimer()
+    }
+
+    /*  initialize the graphics template state from the configuration  */
+    initTemplate () {
+        this.templateData    = {}
+        this.templatePlaying = this.cfg.ta
+        if (this.cfg.td.trim() !== "") {
+            try {
+                const data = JSON.parse(this.cfg.td)
+                if (typeof data !== "object" || data === null || Array.isArray(data))
+                    throw new Error("not a JSON object")
+                for (const name of Object.keys(data))
+                    this.templateData[name] = String(data[name] ?? "")
+            }
+            catch (err) {
+                this.log.warn(`browser: invalid template data: ${err.message}`)
+            }
+        }
+        this.live.template = this.cfg.it === "template" ?
+            { data: this.templateData, playing: this.templatePlaying } : null
+    }
+
+    /*  control the graphics template: "update" merges the given fields into the
+        template data, "play", "stop" and "next" are passed through to the template
+        (optionally after updating the fields)  */
+    template (command, data = null) {
+        if (this.content === null || this.content.isDestroyed())
+            throw new Error("still not started")
+        if (this.cfg.it !== "template")
+            throw new Error("input type is not \"template\"")
+        if (![ "update", "play", "stop", "next" ].includes(command))
+            throw new Error(`invalid template command "${command}"`)
+        if (data !== null) {
+            if (typeof data !== "object" || Array.isArray(data))
+                throw new Error("invalid template data (expected object)")
+            for (const name of Object.keys(data))
+                this.templateData[name] = String(data[name] ?? "")
+            this.content.webContents.send("template", "update", this.templateData)
+        }
+        else if (command === "update")
+            throw new Error("command \"update\" requires data")
+        if (command === "play")
+            this.templatePlaying = true
+        else if (command === "stop")
+            this.templatePlaying = false
+        if (command !== "update")
+            this.content.webContents.send("template", command, null)
+        this.publish("template", { command, data: this.templateData, playing: this.templatePlaying })
+        return { data: this.templateData, playing: this.templatePlaying }
+    }
+
+    /*  determine the slideshow playlist from the configured files: one file per
+        line, optionally followed by "|" and either a duration in seconds (overriding
+        the interval) or "end" (advancing once a video ended)  */
+    slideshowPlaylist () {
+        return this.cfg.if.split("\n").map((line) => line.trim()).filter((line) => line !== "").map((line) => {
+            const m    = line.match(/^(.*?)\s*\|\s*(\d+(?:\.\d+)?|end)$/)
+            const file = (m !== null ? m[1] : line)
+            return {
+                url:      `file://${file.replace(/\\/g, "/")}`,
+                video:    /\.(?:mp4|webm|ogg|ogv|mov|m4v|mkv)$/i.test(file),
+                duration: m === null ? null : m[2] === "end" ? "end" : parseFloat(m[2])
+            }
+        })
+    }
+
+    /*  determine the directory of a watched-folder slideshow
+        (if its files consist of a single path to a directory)  */
+    slideshowFolder () {
+        const files = this.cfg.if.split("\n").map((line) => line.trim()).filter((line) => line !== "")
+        if (files.length !== 1)
+            return null
+        try {
+            if (fs.statSync(files[0]).isDirectory())
+                return files[0]
+        }
+        catch (err) {
+            /*  not existing (yet)  */
+        }
+        return null
+    }
+
+    /*  convert a file name glob pattern (with "*", "?" and "{a,b}") into a regular expression  */
+    slideshowGlob (pattern) {
+        let re    = ""
+        let depth = 0
+        for (const c of pattern) {
+            if (c === "*")
+                re += ".*"
+            else if (c === "?")
+                re += "."
+            else if (c === "{") {
+                re += "(?:"
+                depth++
+            }
+            else if (c === "}" && depth > 0) {
+                re += ")"
+                depth--
+            }
+            else if (c === "," && depth > 0)
+                re += "|"
+            else
+                re += c.replace(/[.+^$(){}|[\]\\]/g, "\\$&")
+        }
+        return new RegExp(`^${re + ")".repeat(depth)}$`, "i")
+    }
+
+    /*  determine the slideshow playlist from the media files of a watched folder
+        which match the glob pattern, in the configured sort order (where the URLs
+        carry the modification time, so replaced files are reloaded)  */
+    async slideshowScan (dir) {
+        const glob    = this.slideshowGlob(this.cfg.sg.trim() || "*")
+        const media   = /\.(?:png|jpe?g|gif|webp|bmp|svg|mp4|webm|ogg|ogv|mov|m4v|mkv)$/i
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true })
+        const files   = []
+        for (const entry of entries) {
+            if (!entry.isFile() || entry.name.startsWith(".") || !media.test(entry.name) || !glob.test(entry.name))
+                continue
+            const file = path.join(dir, entry.name)
+            const stat = await fs.promises.stat(file).catch(() => null)
+            if (stat !== null)
+                files.push({ file, name: entry.name, mtime: stat.mtimeMs })
+        }
+        const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: "base" })
+        if (this.cfg.ss === "name-desc")
+            files.sort((a, b) => byName(b, a))
+        else if (this.cfg.ss === "date")
+            files.sort((a, b) => a.mtime - b.mtime || byName(a, b))
+        else if (this.cfg.ss === "date-desc")
+            files.sort((a, b) => b.mtime - a.mtime || byName(a, b))
+        else
+            files.sort(byName)
+        return files.map((f) => ({
+            url:      `${url.pathToFileURL(f.file).href}?mtime=${Math.round(f.mtime)}`,
+            video:    /\.(?:mp4|webm|ogg|ogv|mov|m4v|mkv)$/i.test(f.name),
+            duration: null
+        }))
+    }
+
+    /*  (re)load the slideshow playlist from the configured files or watched folder  */
+    async slideshowLoad () {
+        const dir = this.slideshowFolder()
+        if (dir === null)
+            this.slideshowItems = this.slideshowPlaylist()
+        else {
+            try {
+                this.slideshowItems = await this.slideshowScan(dir)
+            }
+            catch (err) {
+                this.log.warn(`browser: failed to scan slideshow folder "${dir}": ${err.message}`)
+            }
+        }
+        return this.slideshowItems
+    }
+
+    /*  start watching the folder of a watched-folder slideshow: changes are
+        detected by file system events and, as a fallback for network shares,
+        by periodic rescans, and are passed to the running slideshow  */
+    initSlideshow () {
+        this.stopSlideshow()
+        this.slideshowItems = []
+        const dir = this.cfg.it === "slideshow" ? this.slideshowFolder() : null
+        if (dir === null)
+            return
+        const rescan = debounce(1000, async () => {
+            if (this.slideshowWatch === null)
+                return
+            const before = JSON.stringify(this.slideshowItems)
+            await this.slideshowLoad()
+            if (JSON.stringify(this.slideshowItems) === before || this.slideshowWatch === null)
+                return
+            this.log.info(`browser: slideshow folder changed: ${this.slideshowItems.length} files`)
+            if (this.content !== null && !this.content.isDestroyed())
+                this.content.webContents.send("slideshow", "playlist", this.slideshowItems)
+        })
+        let watcher = null
+        try {
+            watcher = fs.watch(dir, { persistent: false }, () => { rescan() })
+            watcher.on("error", (err) => {
+                this.log.warn(`browser: failed to watch slideshow folder "${dir}": ${err.message}`)
+            })
+        }
+        catch (err) {
+            this.log.warn(`browser: failed to watch slideshow folder "${dir}": ${err.message}`)
+        }
+        this.slideshowWatch = { watcher, timer: setInterval(() => { rescan() }, 10 * 1000) }
+        this.log.info(`browser: watching slideshow folder "${dir}"`)
+    }
+
+    /*  stop watching the folder of a watched-folder slideshow  */
+    stopSlideshow () {
+        if (this.slideshowWatch !== null) {
+            if (this.slideshowWatch.watcher !== null)
+                this.slideshowWatch.watcher.close()
+            clearInterval(this.slideshowWatch.timer)
+            this.slideshowWatch = null
+        }
+    }
+
+    /*  control the slideshow: "next", "previous", "goto" (an item index starting
+        at 0), "pause" and "play" (resume), resolving with the state reported
+        by the page afterwards  */
+    async slideshow (command, value = null) {
+        if (this.content === null || this.content.isDestroyed())
+            throw new Error("still not started")
+        if (this.cfg.it !== "slideshow")
+            throw new Error("input type is not \"slideshow\"")
+        if (![ "next", "previous", "goto", "pause", "play" ].includes(command))
+            throw new Error(`invalid slideshow command "${command}"`)
+        if (command === "goto") {
+            const count = this.slideshowItems.length
+            value = parseInt(value)
+            if (isNaN(value) || value < 0 || value >= count)
+                throw new Error(`invalid slideshow item index (expected 0-${count - 1})`)
+        }
+        const state = new Promise((resolve) => {
+            const onState = (state) => {
+                clearTimeout(timer)
+                resolve(state)
+            }
+            const timer = setTimeout(() => {
+                this.off("slideshow-state", onState)
+                resolve(this.slideshowState)
+            }, 1000)
+            this.once("slideshow-state", onState)
+        })
+        this.content.webContents.send("slideshow", command, value)
+        return state
+    }
+
+    /*  start decoding the source of a stream input type with FFmpeg into
+        fragmented MP4 segments, which are passed to the content (see
+        generateStreamHTML()), and publish its connection state  */
+    initStream () {
+        this.stopStream()
+        this.live.stream = null
+        if (this.cfg.it !== "stream" || this.cfg.u === "")
+            return
+        const stream = new Stream({
+            ffmpeg:    this.ffmpeg,
+            url:       this.cfg.u,
+            args:      this.cfg.yo.split(/\s+/).filter((arg) => arg !== ""),
+            audio:     this.cfg.ya,
+            width:     this.cfg.w,
+            height:    this.cfg.h,
+            fps:       this.cfg.f,
+            reconnect: Math.max(1, isNaN(this.cfg.yr) ? 2 : this.cfg.yr),
+            timeout:   Math.max(1, isNaN(this.cfg.yt) ? 10 : this.cfg.yt),
+            log: (level, msg) => {
+                this.log[level](`browser: stream: ${msg}`)
+            }
+        })
+        const send = (...args) => {
+            if (this.stream === stream && this.content !== null && !this.content.isDestroyed())
+                this.content.webContents.send("stream", ...args)
+        }
+        stream.on("init",    (mime, data) => { send("init", data, mime) })
+        stream.on("segment", (data) => { send("segment", data) })
+        stream.on("state", (state, reason) => {
+            if (this.stream !== stream)
+                return
+            if (state === "reconnecting")
+                this.log.warn(`browser: stream source dropped (${reason}): reconnecting`)
+            else
+                this.log.info(`browser: stream: ${state}`)
+            this.publish("stream", { state, reason, exits: stream.exits })
+        })
+        this.stream = stream
+        this.stream.start()
+    }
+
+    /*  stop decoding the source of a stream input type  */
+    async stopStream () {
+        if (this.stream !== null) {
+            const stream = this.stream
+            this.stream = null
+            await stream.stop()
+        }
+    }
+
+    /*  start receiving the NDI source of the NDI input type, whose frames
+        are passed to the content (see generateNDIHTML()), and publish its
+        reception state  */
+    initReceiver () {
+        this.stopReceiver()
+        this.live.receiver = null
+        if (this.cfg.it !== "ndi" || this.cfg.u === "")
+            return
+        const receiver = new Receiver({
+            source:    this.cfg.u,
+            name:      `WebRetriever ${this.cfg.t}`,
+            bandwidth: this.cfg.db,
+            audio:     this.cfg.da,
+            fps:       this.cfg.f,
+            log: (level, msg) => {
+                this.log[level](`browser: NDI input: ${msg}`)
+            }
+        })
+        const send = (type, frame) => {
+            if (this.receiver === receiver && this.content !== null && !this.content.isDestroyed())
+                this.content.webContents.send("ndi", type, frame)
+        }
+        receiver.on("video", (frame) => { send("video", frame) })
+        receiver.on("audio", (frame) => { send("audio", frame) })
+        receiver.on("state", (state, format) => {
+            if (this.receiver !== receiver)
+                return
+            if (state === "no-signal")
+                this.log.warn(`browser: NDI input: lost signal of source "${this.cfg.u}"`)
+            else
+                this.log.info(`browser: NDI input: ${state}`)
+            this.publish("receiver", { state, source: this.cfg.u, ...(format ?? {}) })
+        })
+        this.receiver = receiver
+        this.receiver.start().catch((err) => {
+            this.log.error(`browser: NDI input: failed to receive source "${this.cfg.u}": ${err.message}`)
+            this.publish("receiver", { state: "failed", source: this.cfg.u, reason: err.message })
+        })
+    }
+
+    /*  stop receiving the NDI source of the NDI input type  */
+    async stopReceiver () {
+        if (this.receiver !== null) {
+            const receiver = this.receiver
+            this.receiver = null
+            await receiver.stop()
+        }
+    }
+
+    /*  determine the layers of the compositor from its layout, a JSON array of
+        objects with the "source" (id or title of another instance), the position
+        "x"/"y" and size "w"/"h" (in percent of the output), the "z" order, the
+        "crop" (in percent of the source), the "opacity", the "border" and the "fit"  */
+    compositorLayout () {
+        let layers
+        try {
+            layers = JSON.parse(this.cfg.lo.trim() !== "" ? this.cfg.lo : "[]")
+            if (!Array.isArray(layers))
+                throw new Error("not a JSON array")
+        }
+        catch (err) {
+            this.log.warn(`browser: invalid compositor layout: ${err.message}`)
+            return []
+        }
+        const num = (value, def, min, max) => {
+            const n = parseFloat(value)
+            return isNaN(n) ? def : Math.max(min, Math.min(max, n))
+        }
+        return layers
+            .filter((layer) => typeof layer === "object" && layer !== null && String(layer.source ?? "") !== "")
+            .map((layer, i) => {
+                const crop   = typeof layer.crop   === "object" && layer.crop   !== null ? layer.crop   : {}
+                const border = typeof layer.border === "object" && layer.border !== null ? layer.border : {}
+                return {
+                    source:  String(layer.source),
+                    x:       num(layer.x, 0, -100, 100),
+                    y:       num(layer.y, 0, -100, 100),
+                    w:       num(layer.w, 100, 0, 100),
+                    h:       num(layer.h, 100, 0, 100),
+                    z:       Math.round(num(layer.z, i, -1000, 1000)),
+                    crop: {
+                        top:    num(crop.top,    0, 0, 100),
+                        right:  num(crop.right,  0, 0, 100),
+                        bottom: num(crop.bottom, 0, 0, 100),
+                        left:   num(crop.left,   0, 0, 100)
+                    },
+                    opacity: num(layer.opacity, 1, 0, 1),
+                    border: {
+                        width: num(border.width, 0, 0, 100),
+                        color: String(border.color ?? "#ffffff").replace(/[;{}<>"]/g, "")
+                    },
+                    fit:     [ "contain", "cover", "fill" ].includes(layer.fit) ? layer.fit : "contain"
+                }
+            })
+    }
+
+    /*  start compositing: subscribe to the frames of the source instances of
+        all layers, crop and scale them down to their layer and pass them to the
+        content (see generateCompositorHTML()), at most with our frame rate  */
+    initCompositor () {
+        this.stopCompositor()
+        this.live.compositor = null
+        if (this.cfg.it !== "compositor")
+            return
+        const layers = this.compositorLayout().map((layer, index) => ({
+            ...layer, index, peer: null, listener: null, last: 0, live: false
+        }))
+        const send = (...args) => {
+            if (this.content !== null && !this.content.isDestroyed())
+                this.content.webContents.send("compositor", ...args)
+        }
+        const onFrame = (layer, image) => {
+            const now = Date.now()
+            if (now - layer.last < (1000 / this.cfg.f) * 0.9)
+                return
+            layer.last = now
+            const size = image.getSize()
+            const rect = {
+                x:      Math.round(size.width  * layer.crop.left / 100),
+                y:      Math.round(size.height * layer.crop.top  / 100),
+                width:  Math.round(size.width  * (100 - layer.crop.left - layer.crop.right)  / 100),
+                height: Math.round(size.height * (100 - layer.crop.top  - layer.crop.bottom) / 100)
+            }
+            if (rect.width <= 0 || rect.height <= 0)
+                return
+            if (rect.width < size.width || rect.height < size.height)
+                image = image.crop(rect)
+
+            /*  scale down to the layer size (scaling up is left to the content)  */
+            const bw = Math.max(1, this.cfg.w * layer.w / 100)
+            const bh = Math.max(1, this.cfg.h * layer.h / 100)
+            let width  = Math.min(rect.width,  bw)
+            let height = Math.min(rect.height, bh)
+            if (layer.fit !== "fill") {
+                const scale = Math.min(1, (layer.fit === "cover" ? Math.max : Math.min)(bw / rect.width, bh / rect.height))
+                width  = rect.width  * scale
+                height = rect.height * scale
+            }
+            width  = Math.max(1, Math.round(width))
+            height = Math.max(1, Math.round(height))
+            if (width !== rect.width || height !== rect.height)
+                image = image.resize({ width, height, quality: "good" })
+            send("frame", layer.index, { width, height, data: image.getBitmap() })
+        }
+
+        /*  (re)bind the layers to their source instances (which can be added,
+            renamed, started or stopped at any time), where the content of a
+            source only paints on changes, so initially pass its last frame  */
+        const update = () => {
+            let changed = false
+            for (const layer of layers) {
+                let peer = this.peers(layer.source) ?? null
+                if (peer === this)
+                    peer = null
+                if (peer !== layer.peer) {
+                    if (layer.peer !== null)
+                        layer.peer.off("frame", layer.listener)
+                    layer.peer     = peer
+                    layer.listener = (image) => { onFrame(layer, image) }
+                    if (layer.peer !== null)
+                        layer.peer.on("frame", layer.listener)
+                }
+                const live = layer.peer !== null && layer.peer.running()
+                if (layer.live !== live) {
+                    layer.live = live
+                    layer.last = 0
+                    changed = true
+                    if (!live)
+                        send("clear", layer.index)
+                    else if (layer.peer.lastImage !== null)
+                        onFrame(layer, layer.peer.lastImage)
+                }
+            }
+            if (changed || this.live.compositor === null)
+                this.publish("compositor", {
+                    layers: layers.map((layer) => ({
+                        source: layer.source,
+                        id:     layer.peer !== null ? layer.peer.id : null,
+                        live:   layer.live
+                    }))
+                })
+        }
+        const refresh = () => {
+            for (const layer of layers) {
+                layer.last = 0
+                if (layer.live && layer.peer.lastImage !== null)
+                    onFrame(layer, layer.peer.lastImage)
+            }
+        }
+        update()
+        this.compositor = { layers, refresh, timer: setInterval(update, 1000) }
+        this.log.info(`browser: compositing ${layers.length} layers`)
+    }
+
+    /*  stop compositing  */
+    stopCompositor () {
+        if (this.compositor !== null) {
+            clearInterval(this.compositor.timer)
+            for (const layer of this.compositor.layers)
+                if (layer.peer !== null)
+                    layer.peer.off("frame", layer.listener)
+            this.compositor = null
+        }
+    }
+
+    /*  determine the timer state of a clock from a countdown target: either a
+        duration in seconds (initially paused), a time of day "HH:MM[:SS]" (its next
+        occurrence) or a date/time "YYYY-MM-DD HH:MM[:SS]" (both immediately running)  */
+    clockTarget (target) {
+        const now = Date.now()
+        target = String(target ?? "").trim()
+        let m
+        if (target === "")
+            return { running: false, base: 0, since: now }
+        else if (target.match(/^\d+$/))
+            return { running: false, base: parseInt(target) * 1000, since: now }
+        else if ((m = target.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/)) !== null) {
+            const at = new Date(now)
+            at.setHours(parseInt(m[1]), parseInt(m[2]), parseInt(m[3] ?? "0"), 0)
+            if (at.getTime() <= now)
+                at.setDate(at.getDate() + 1)
+            return { running: true, base: at.getTime() - now, since: now }
+        }
+        else if ((m = target.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/)) !== null) {
+            const at = new Date(parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3]),
+                parseInt(m[4]), parseInt(m[5]), parseInt(m[6] ?? "0"), 0)
+            if (isNaN(at.getTime()))
+                throw new Error(`invalid clock target "${target}"`)
+            return { running: true, base: Math.max(0, at.getTime() - now), since: now }
+        }
+        throw new Error(`invalid clock target "${target}" (expected seconds, "HH:MM[:SS]" or "YYYY-MM-DD HH:MM[:SS]")`)
+    }
+
+    /*  initialize the clock timer state from the configuration  */
+    initClock () {
+        this.clockState = { running: false, base: 0, since: Date.now() }
+        if (this.cfg.it === "clock" && this.cfg.cm === "countdown") {
+            try {
+                this.clockState = this.clockTarget(this.cfg.ct)
+            }
+            catch (err) {
+                this.log.warn(`browser: ${err.message}`)
+            }
+        }
+        this.live.clock = this.cfg.it === "clock" ? { mode: this.cfg.cm, ...this.clockState } : null
+    }
+
+    /*  control the timer of a countdown or stopwatch clock: "start", "pause",
+        "reset" (to the configured target) and "set" (to a new value: seconds,
+        or for a countdown also a new target time)  */
+    clock (command, value = null) {
+        if (this.content === null || this.content.isDestroyed())
+            throw new Error("still not started")
+        if (this.cfg.it !== "clock")
+            throw new Error("input type is not \"clock\"")
+        if (this.cfg.cm !== "countdown" && this.cfg.cm !== "stopwatch")
+            throw new Error(`clock mode "${this.cfg.cm}" has no timer`)
+        const countdown = (this.cfg.cm === "countdown")
+        const now   = Date.now()
+        const state = this.clockState
+        if (command === "start") {
+            if (!state.running)
+                this.clockState = { running: true, base: state.base, since: now }
+        }
+        else if (command === "pause") {
+            if (state.running) {
+                const elapsed = now - state.since
+                this.clockState = { running: false, base: state.base + (countdown ? -elapsed : elapsed), since: now }
+            }
+        }
+        else if (command === "reset")
+            this.clockState = countdown ? this.clockTarget(this.cfg.ct) : { running: false, base: 0, since: now }
+        else if (command === "set") {
+            if (value === null || String(value).trim() === "")
+                throw new Error("command \"set\" requires a value")
+            if (String(value).trim().match(/^\d+$/))
+                this.clockState = { running: state.running, base: parseInt(value) * 1000, since: now }
+            else if (countdown)
+                this.clockState = this.clockTarget(value)
+            else
+                throw new Error(`invalid stopwatch value "${value}" (expected seconds)`)
+        }
+        else
+            throw new Error(`invalid clock command "${command}"`)
+        this.content.webContents.send("clock", this.clockState)
+        this.publish("clock", { command, mode: this.cfg.cm, ...this.clockState })
+        return { mode: this.cfg.cm, ...this.clockState }
+    }
+
+    /*  determine the ticker items from a list of strings or of objects
+        with a "text" or "title" field (ignoring empty items)  */
+    tickerNormalize (list) {
+        return list
+            .map((item) => String(typeof item === "object" && item !== null ?
+                (item.text ?? item.title ?? "") : (item ?? "")).replace(/\s+/g, " ").trim())
+            .filter((item) => item !== "")
+    }
+
+    /*  determine the ticker items from the content of a text file (one item per
+        line) or a JSON file (a list of items, optionally in an object field "items")  */
+    tickerParse (content, json) {
+        if (!json)
+            return this.tickerNormalize(content.split(/\r?\n/))
+        let data = JSON.parse(content)
+        if (typeof data === "object" && data !== null && !Array.isArray(data))
+            data = data.items
+        if (!Array.isArray(data))
+            throw new Error("invalid ticker JSON (expected list of items)")
+        return this.tickerNormalize(data)
+    }
+
+    /*  determine the ticker items from a RSS or Atom feed (the titles of its items or entries)  */
+    tickerParseFeed (xml) {
+        const entities = { lt: "<", gt: ">", quot: "\"", apos: "'", amp: "&" }
+        const decode = (text) => text
+            .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, "$1")
+            .replace(/<[^>]*>/g, "")
+            .replace(/&(?:#x([0-9a-f]+)|#(\d+)|(lt|gt|quot|apos|amp));/gi, (_, hex, dec, name) =>
+                hex !== undefined ? String.fromCodePoint(parseInt(hex, 16)) :
+                    dec !== undefined ? String.fromCodePoint(parseInt(dec, 10)) : entities[name.toLowerCase()])
+        const items = []
+        const re = /<(item|entry)\b[^>]*>([\s\S]*?)<\/\1>/gi
+        let m
+        while ((m = re.exec(xml)) !== null) {
+            const title = m[2].match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)
+            if (title !== null)
+                items.push(decode(title[1]))
+        }
+        return this.tickerNormalize(items)
+    }
+
+    /*  initialize the ticker items from the configured source and start
+        watching the file or polling the feed for changes  */
+    initTicker () {
+        this.stopTicker()
+        this.tickerItems = []
+        if (this.cfg.it === "ticker") {
+            if (this.cfg.xs === "text")
+                this.tickerItems = this.tickerNormalize(this.cfg.xt.split(/\r?\n|\|/))
+            else if (this.cfg.xs === "file" && this.cfg.xp !== "") {
+                /*  remember the listener, as other instances might watch the same file  */
+                const listener = (curr, prev) => {
+                    if (curr.mtimeMs !== prev.mtimeMs)
+                        this.tickerLoad()
+                }
+                this.tickerWatch = { file: this.cfg.xp, listener }
+                fs.watchFile(this.tickerWatch.file, { interval: 1000 }, listener)
+                this.tickerLoad()
+            }
+            else if (this.cfg.xs === "feed" && this.cfg.xp !== "") {
+                this.tickerTimer = setInterval(() => {
+                    this.tickerLoad()
+                }, Math.max(10, this.cfg.xr) * 1000)
+                this.tickerLoad()
+            }
+        }
+        this.live.ticker = this.cfg.it === "ticker" ? { source: this.cfg.xs, items: this.tickerItems } : null
+    }
+
+    /*  stop watching the file or polling the feed of the ticker  */
+    stopTicker () {
+        if (this.tickerTimer !== null) {
+            clearInterval(this.tickerTimer)
+            this.tickerTimer = null
+        }
+        if (this.tickerWatch !== null) {
+            fs.unwatchFile(this.tickerWatch.file, this.tickerWatch.listener)
+            this.tickerWatch = null
+        }
+    }
+
+    /*  (re)load the ticker items from the configured file or feed
+        (keeping the current items on errors)  */
+    async tickerLoad () {
+        const source = this.cfg.xp
+        try {
+            let items
+            if (this.cfg.xs === "file") {
+                const content = await fs.promises.readFile(source, { encoding: "utf8" })
+                items = this.tickerParse(content, path.extname(source).toLowerCase() === ".json")
+            }
+            else {
+                const xml = await got(source, { timeout: 10 * 1000 }).text()
+                items = this.tickerParseFeed(xml)
+            }
+            if ((this.tickerWatch !== null || this.tickerTimer !== null) && this.cfg.xp === source)
+                this.tickerUpdate("load", items)
+        }
+        catch (err) {
+            this.log.warn(`browser: failed to load ticker items from "${source}": ${err.message}`)
+        }
+    }
+
+    /*  take over new ticker items and pass them to the content  */
+    tickerUpdate (command, items) {
+        this.tickerItems = items
+        if (this.content !== null && !this.content.isDestroyed())
+            this.content.webContents.send("ticker", this.tickerItems)
+        this.publish("ticker", { command, source: this.cfg.xs, items: this.tickerItems })
+    }
+
+    /*  control the ticker: "replace" all items, "push" items to the end or "clear"
+        all items (until the next change of the configured file or feed)  */
+    ticker (command, items = null) {
+        if (this.content === null || this.content.isDestroyed())
+            throw new Error("still not started")
+        if (this.cfg.it !== "ticker")
+            throw new Error("input type is not \"ticker\"")
+        if (typeof items === "string")
+            items = [ items ]
+        if (command === "clear")
+            this.tickerUpdate(command, [])
+        else if (command === "replace" || command === "push") {
+            if (!Array.isArray(items))
+                throw new Error(`command "${command}" requires items (expected list)`)
+            items = this.tickerNormalize(items)
+            this.tickerUpdate(command, command === "push" ? this.tickerItems.concat(items) : items)
+        }
+        else
+            throw new Error(`invalid ticker command "${command}"`)
+        return { source: this.cfg.xs, items: this.tickerItems }
+    }
+
+    /*  start holding a frame: suppress the captured frames and instead
+        feed the worker with a fixed frame at the configured frame rate  */
+    startHold (mode, slate) {
+        this.stopHold()
+        let image = null
+        if (mode === "slate") {
+            if (slate !== "") {
+                image = electron.nativeImage.createFromPath(slate)
+                if (image.isEmpty()) {
+                    this.log.warn(`browser: cannot load slate image: ${slate}`)
+                    image = null
+                }
+            }
+            if (image === null) {
+                const black = Buffer.alloc(this.cfg.w * this.cfg.h * 4)
+                for (let i = 3; i < black.length; i += 4)
+                    black[i] = 0xff
+                image = electron.nativeImage.createFromBitmap(black, { width: this.cfg.w, height: this.cfg.h })
+            }
+            else
+                image = image.resize({ width: this.cfg.w, height: this.cfg.h, quality: "good" })
+        }
+        else if (this.lastImage !== null)
+            image = this.lastImage
+        this.holding = true
+        if (image === null)
+            return
+        const buffer = image.getBitmap()
+        const size   = image.getSize()
+        const ratio  = image.getAspectRatio()
+        const dirty  = { x: 0, y: 0, width: size.width, height: size.height }
+        const send = () => {
+            if (this.worker !== null && !this.worker.isDestroyed())
+                this.worker.webContents.send("video-capture", buffer, size, ratio, dirty)
+        }
+        send()
+        this.holdTimer = setInterval(send, 1000 / Math.max(this.cfg.f, 1))
+    }
+    stopHold () {
+        if (this.holdTimer !== null) {
+            clearInterval(this.holdTimer)
+            this.holdTimer = null
+        }
+        this.holding = false
+    }
+
     /*  update browser (after reconfiguration)  */
     update () {
         this.log.info("browser: update")
@@ -746,9 +2670,213 @@ img, video {
         this.log.info("browser: reload")
         if (this.content === null)
             throw new Error("still not started")
+        this.counters.reloads++
         this.content.reload()
     }
 
+    /*  inject a mouse, keyboard or scroll input event into the content
+        (coordinates are content pixels, i.e., within the output width/height)  */
+    async input (ev) {
+        if (this.content === null || this.content.isDestroyed())
+            throw new Error("still not started")
+        const wc = this.content.webContents
+        const coordinates = () => {
+            const x = Math.round(Number(ev.x ?? this.cfg.w / 2))
+            const y = Math.round(Number(ev.y ?? this.cfg.h / 2))
+            if (isNaN(x) || isNaN(y) || x < 0 || x >= this.cfg.w || y < 0 || y >= this.cfg.h)
+                throw new Error(`invalid coordinates (expected 0-${this.cfg.w - 1}/0-${this.cfg.h - 1})`)
+            return { x, y }
+        }
+        if (ev.type === "click" || ev.type === "move") {
+            const { x, y } = coordinates()
+            wc.sendInputEvent({ type: "mouseMove", x, y })
+            if (ev.type === "click") {
+                const button = ev.button ?? "left"
+                if (![ "left", "middle", "right" ].includes(button))
+                    throw new Error(`invalid mouse button "${button}"`)
+                const count = parseInt(ev.count ?? 1)
+                if (isNaN(count))
+                    throw new Error(`invalid click count "${ev.count}"`)
+                const clickCount = Math.max(1, count)
+                wc.sendInputEvent({ type: "mouseDown", x, y, button, clickCount })
+                wc.sendInputEvent({ type: "mouseUp",   x, y, button, clickCount })
+            }
+        }
+        else if (ev.type === "scroll") {
+            /*  positive deltas scroll down/right (the wheel event uses the opposite direction)  */
+            const { x, y } = coordinates()
+            const dx = Number(ev.dx ?? 0)
+            const dy = Number(ev.dy ?? 0)
+            if (isNaN(dx) || isNaN(dy))
+                throw new Error("invalid scroll deltas")
+            wc.sendInputEvent({ type: "mouseWheel", x, y, deltaX: -dx, deltaY: -dy, canScroll: true })
+        }
+        else if (ev.type === "key") {
+            /*  key sequence like [ "Tab", "Control+A", "Enter" ] (Electron accelerator key codes)  */
+            const keys = Array.isArray(ev.keys) ? ev.keys : [ ev.keys ]
+            wc.focus()
+            for (const key of keys) {
+                const parts = String(key ?? "").split("+")
+                const keyCode = parts.pop()
+                if (keyCode === "")
+                    throw new Error(`invalid key "${key}"`)
+                const modifiers = parts.map((modifier) => modifier.toLowerCase())
+                wc.sendInputEvent({ type: "keyDown", keyCode, modifiers })
+                if (keyCode.length === 1 && modifiers.filter((m) => m !== "shift").length === 0)
+                    wc.sendInputEvent({ type: "char", keyCode, modifiers })
+                wc.sendInputEvent({ type: "keyUp", keyCode, modifiers })
+                await new Promise((resolve) => setTimeout(resolve, 20))
+            }
+        }
+        else if (ev.type === "text") {
+            /*  type text into the currently focused element  */
+            wc.focus()
+            await wc.insertText(String(ev.text ?? ""))
+        }
+        else
+            throw new Error(`invalid input event type "${ev.type}"`)
+    }
+
+    /*  provide a JPEG preview of the content (scaled down to a maximum width)  */
+    async preview (width = 640, quality = 70) {
+        if (this.content === null || this.content.isDestroyed())
+            throw new Error("still not started")
+        let image = this.lastImage
+        if (image === null || image.isEmpty())
+            image = await this.content.webContents.capturePage()
+
+        /*  reuse the last encoding of an unchanged frame, as multiple preview
+            streams usually request the same frame in the same size  */
+        const cache = this.previewCache
+        if (cache !== null && cache.image === image && cache.width === width && cache.quality === quality)
+            return cache.jpeg
+        const source = image
+        if (width < image.getSize().width)
+            image = image.resize({ width, quality: "good" })
+        const jpeg = image.toJPEG(quality)
+        this.previewCache = { image: source, width, quality, jpeg }
+        return jpeg
+    }
+
+    /*  provide a still of the current frame as PNG (with alpha channel)
+        or JPEG, optionally scaled down to a maximum width  */
+    async snapshot (format = "png", width = 0) {
+        if (this.content === null || this.content.isDestroyed())
+            throw new Error("still not started")
+        if (format !== "png" && format !== "jpeg")
+            throw new Error(`invalid snapshot format "${format}"`)
+        let image = this.lastImage
+        if (image === null || image.isEmpty())
+            image = await this.content.webContents.capturePage()
+        if (width > 0 && width < image.getSize().width)
+            image = image.resize({ width, quality: "best" })
+        return format === "png" ? image.toPNG() : image.toJPEG(90)
+    }
+
+    /*  write a timestamped snapshot into the snapshot folder of the instance
+        (and remove the oldest snapshots exceeding the configured number to keep)  */
+    async snapshotToDisk () {
+        const format = this.cfg.nf === "jpeg" ? "jpeg" : "png"
+        const ext    = format === "jpeg" ? "jpg" : "png"
+        const dir    = path.join(electron.app.getPath("userData"), "Snapshots",
+            this.cfg.t.replace(/[^\w.-]+/g, "-"))
+        const data   = await this.snapshot(format)
+        await fs.promises.mkdir(dir, { recursive: true })
+        const pad  = (n, len = 2) => String(n).padStart(len, "0")
+        const now  = new Date()
+        const file = path.join(dir, `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-` +
+            `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}-${pad(now.getMilliseconds(), 3)}.${ext}`)
+        await fs.promises.writeFile(file, data)
+        this.log.debug(`browser: snapshot written to: ${file}`)
+        if (this.cfg.nk > 0) {
+            const files = (await fs.promises.readdir(dir))
+                .filter((name) => name.match(/^\d{8}-\d{6}-\d{3}\.(?:png|jpg)$/))
+                .sort()
+            for (const name of files.slice(0, Math.max(0, files.length - this.cfg.nk)))
+                await fs.promises.unlink(path.join(dir, name)).catch(() => {})
+        }
+        return file
+    }
+
+    /*  start, stop, pause, resume or split the recordings of the instance
+        (of all recording FFmpeg sinks or just the one given by its id or name)  */
+    async recording (command, sink = null) {
+        if (!this.running())
+            throw new Error("browser still not running")
+        const request = ++this.recRequest
+        const result = await new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                delete this.recPending[request]
+                resolve({ error: "timeout while controlling recording" })
+            }, 10 * 1000)
+            this.recPending[request] = (result) => {
+                clearTimeout(timer)
+                resolve(result)
+            }
+            this.worker.webContents.send("browser-worker-recording", request, command, sink)
+        })
+        if (result.error !== undefined)
+            throw new Error(result.error)
+        return result.recordings
+    }
+
+    /*  determine the directory of the recordings of the instance
+        (by default a dedicated sub-directory of the videos folder of the user)  */
+    recordingDir () {
+        return this.cfg.rd !== "" ? path.resolve(this.cfg.rd) :
+            path.join(electron.app.getPath("videos"), "WebRetriever")
+    }
+
+    /*  remove recordings of the instance older than the number of days to keep
+        and afterwards the oldest recordings exceeding the disk quota  */
+    async applyRecordingRetention () {
+        /*  determine the recordings by matching the file name templates of the recording sinks
+            (and never touch the most recent recording of each sink, as it still might be written)  */
+        const dir = this.recordingDir()
+        const names = await fs.promises.readdir(dir)
+        let files = []
+        for (let i = 0; i < this.cfg.X.length; i++) {
+            const sink = this.cfg.X[i]
+            if (!sink.e || !sink.c || !util.RecordingFileName.identifying(sink.p))
+                continue
+            const matcher = util.RecordingFileName.matcher(sink.p, util.RecordingFileName.vars(this.cfg, i))
+            const matches = []
+            for (const name of names.filter((name) => matcher.test(name))) {
+                const stat = await fs.promises.stat(path.join(dir, name)).catch(() => null)
+                if (stat !== null && stat.isFile())
+                    matches.push({ name, size: stat.size, mtime: stat.mtimeMs })
+            }
+            matches.sort((a, b) => a.mtime - b.mtime)
+            files = files.concat(matches.slice(0, -1)
+                .filter((file) => !files.some((other) => other.name === file.name)))
+        }
+        files.sort((a, b) => a.mtime - b.mtime)
+
+        /*  remove a recording  */
+        const remove = async (file, reason) => {
+            this.log.info(`browser: removing recording "${file.name}" (${reason})`)
+            await fs.promises.unlink(path.join(dir, file.name)).catch(() => {})
+        }
+
+        /*  remove recordings older than the number of days to keep  */
+        if (this.cfg.rk > 0) {
+            const threshold = Date.now() - this.cfg.rk * 24 * 60 * 60 * 1000
+            while (files.length > 0 && files[0].mtime < threshold)
+                await remove(files.shift(), `older than ${this.cfg.rk} days`)
+        }
+
+        /*  remove the oldest recordings exceeding the disk quota  */
+        if (this.cfg.rq > 0) {
+            const quota = this.cfg.rq * 1024 * 1024 * 1024
+            let total = files.reduce((sum, file) => sum + file.size, 0)
+            while (files.length > 0 && total > quota) {
+                const file = files.shift()
+                total -= file.size
+                await remove(file, `exceeding quota of ${this.cfg.rq}GB`)
+            }
+        }
+    }
+
     /*  stop browser  */
     async stop () {
         /*  stop just once  */
@@ -761,11 +2889,45 @@ img, video {
         if (this.content === null || this.worker === null)
             throw new Error("browser still not started")
 
-        /*  stop auto-refresh timer  */
+        /*  stop auto-refresh, snapshot and recording retention timers  */
         if (this.refreshTimer !== null) {
             clearInterval(this.refreshTimer)
             this.refreshTimer = null
         }
+        if (this.snapshotTimer !== null) {
+            clearInterval(this.snapshotTimer)
+            this.snapshotTimer = null
+        }
+        if (this.retentionTimer !== null) {
+            clearInterval(this.retentionTimer)
+            this.retentionTimer = null
+        }
+
+        /*  stop watching the ticker source and slideshow folder, stop decoding
+            the stream or receiving the NDI source and stop compositing  */
+        this.stopTicker()
+        this.stopSlideshow()
+        await this.stopStream()
+        await this.stopReceiver()
+        this.stopCompositor()
+
+        /*  stop watchdog (but keep its escalation level if it restarts us)  */
+        if (this.watchdogTimer !== null) {
+            clearInterval(this.watchdogTimer)
+            this.watchdogTimer = null
+        }
+        if (!this.watchdog.keep)
+            this.watchdog.step = 0
+        this.setWatchdogState("disabled", "")
+
+        /*  stop holding a frame  */
+        this.stopHold()
+
+        /*  stop hang detection  */
+        if (this.hangTimer !== null) {
+            clearTimeout(this.hangTimer)
+            this.hangTimer = null
+        }
 
         /*  stop frame capturing  */
         if (this.subscribed) {
@@ -26,9 +26,32 @@ const browserFields = [
     { name: "z",  def: "1.0",         valid: /^(?:\d*\.\d+|\d+\.\d*|\d+)$/ },
     { name: "u",  def: "",            valid: /^.*$/ },  /*  optional: only required for InputType=url  */
     { name: "ai", def: "300",         valid: /^\d+$/ },
+    { name: "wt", def: "30",          valid: /^\d+$/ },
+    { name: "cb", def: "5",           valid: /^\d+$/ },
+    { name: "ni", def: "0",           valid: /^\d+$/ },
+    { name: "nk", def: "100",         valid: /^\d+$/ },
+    { name: "wa", def: "reload,restart,alert", valid: /^\s*(?:(?:reload|restart|alert|webhook)\s*(?:,\s*(?:reload|restart|alert|webhook)\s*)*)?$/ },
+    { name: "wu", def: "",            valid: /^(?:|https?:\/\/\S+)$/ },
     { name: "if", def: "",            valid: /^.*$/ },
     { name: "si", def: "5",           valid: /^\d+$/ },
     { name: "sf", def: "1",           valid: /^(?:\d*\.\d+|\d+\.\d*|\d+)$/ },
+    { name: "td", def: "",            valid: /^\s*(?:\{.*\}\s*)?$/s },
+    { name: "lo", def: "",            valid: /^\s*(?:\[.*\]\s*)?$/s },
+    { name: "cz", def: "",            valid: /^[\w/+-]*$/ },
+    { name: "ct", def: "",            valid: /^(?:|\d+|\d{1,2}:\d{2}(?::\d{2})?|\d{4}-\d{2}-\d{2}[ T]\d{1,2}:\d{2}(?::\d{2})?)$/ },
+    { name: "cs", def: "sans-serif",  valid: /^[^;{}<>]+$/ },
+    { name: "cc", def: "#ffffff",     valid: /^(?:transparent|#[\da-fA-F]{3,8})$/ },
+    { name: "cg", def: "transparent", valid: /^(?:transparent|#[\da-fA-F]{3,8})$/ },
+    { name: "cx", def: "30",          valid: /^\d+$/ },
+    { name: "sg", def: "*",           valid: /^[^/\\]*$/ },
+    { name: "xr", def: "60",          valid: /^\d+$/ },
+    { name: "xv", def: "120",         valid: /^\d+$/ },
+    { name: "xn", def: "sans-serif",  valid: /^[^;{}<>]+$/ },
+    { name: "xz", def: "6",           valid: /^\d+$/ },
+    { name: "xc", def: "#ffffff",     valid: /^(?:transparent|#[\da-fA-F]{3,8}|rgba?\([\d\s.,%]+\))$/ },
+    { name: "xg", def: "rgba(0,0,0,0.6)", valid: /^(?:transparent|#[\da-fA-F]{3,8}|rgba?\([\d\s.,%]+\))$/ },
+    { name: "yr", def: "2",           valid: /^\d+$/ },
+    { name: "yt", def: "10",          valid: /^\d+$/ },
     { name: "k",  def: "0",           valid: /^\d+$/ },
     { name: "j",  def: "",            valid: /^.*$/ },
     { name: "q",  def: "",            valid: /^.*$/ },
@@ -37,7 +60,18 @@ const browserFields = [
     { name: "O",  def: "0",           valid: /^\d+$/ },
     { name: "C",  def: "2",           valid: /^\d+$/ },
     { name: "o",  def: "0",           valid: /^\d+$/ },
-    { name: "M",  def: "",            valid: /^.*$/ }
+    { name: "nw", def: "0",           valid: /^\d+$/ },
+    { name: "nh", def: "0",           valid: /^\d+$/ },
+    { name: "mw", def: "0",           valid: /^\d*[02468]$/ },
+    { name: "mh", def: "0",           valid: /^\d*[02468]$/ },
+    { name: "rd", def: "",            valid: /^.*$/ },
+    { name: "rk", def: "0",           valid: /^\d+$/ },
+    { name: "rq", def: "0",           valid: /^\d+(?:\.\d+)?$/ },
+    { name: "sh", def: "",            valid: /^[^\s/?#]*$/ },
+    { name: "sp", def: "9000",        valid: /^(?:[1-9]\d{0,3}|[1-5]\d{4}|6[0-4]\d{3}|65[0-4]\d{2}|655[0-2]\d|6553[0-5])$/ },
+    { name: "sl", def: "120",         valid: /^\d+$/ },
+    { name: "sk", def: "",            valid: /^(?:|.{10,79})$/ },
+    { name: "sd", def: "",            valid: /^.{0,512}$/ }
 ]
 
 const app = Vue.createApp({
@@ -49,6 +83,11 @@ const app = Vue.createApp({
             rate:              {},
             burst:             {},
             tally:             {},
+            srt:               {},
+            ffmpeg:            {},
+            recording:         {},
+            watchdog:          {},
+            crash:             {},
             trace:             {},
             invalid:           {},
             usage:             0,
@@ -69,6 +108,7 @@ const app = Vue.createApp({
             audioDevices:      [],
             tag:               null,
             displays:          [],
+            ndiSources:        [],
             apiEnabled:        false,
             apiAddr:           "127.0.0.1",
             apiPort:           "7211",
@@ -78,6 +118,11 @@ const app = Vue.createApp({
             syslogEnabled:     false,
             syslogIp:          "",
             syslogPort:        "514",
+            authEnabled:       false,
+            authTokens:        [],
+            scheduleRules:     [],
+            scheduleUpcoming:  [],
+            scheduleError:     null,
             autosaveFile:      null,
             autosaveLastTime:  null
         }
@@ -219,6 +264,25 @@ const app = Vue.createApp({
                 this.rate[rate.id] = { video: 0, audio: 0 }
             this.rate[rate.id][rate.type] = rate.pps
         })
+        electron.ipcRenderer.on("crash", (ev, crash) => {
+            this.crash[crash.id] = crash
+        })
+        electron.ipcRenderer.on("watchdog", (ev, watchdog) => {
+            this.watchdog[watchdog.id] = watchdog
+        })
+        electron.ipcRenderer.on("srt", (ev, srt) => {
+            this.srt[srt.id] = srt
+        })
+        electron.ipcRenderer.on("ffmpeg", (ev, ffmpeg) => {
+            if (this.ffmpeg[ffmpeg.id] === undefined)
+                this.ffmpeg[ffmpeg.id] = {}
+            this.ffmpeg[ffmpeg.id][ffmpeg.sink] = ffmpeg
+        })
+        electron.ipcRenderer.on("recording", (ev, recording) => {
+            if (this.recording[recording.id] === undefined)
+                this.recording[recording.id] = {}
+            this.recording[recording.id][recording.sink] = recording
+        })
         electron.ipcRenderer.on("trace", (ev, trace) => {
             if (trace.level === 2)
                 this.trace[trace.id].warning++
@@ -287,6 +351,27 @@ const app = Vue.createApp({
             this.syslogIp      = cfg.ip
             this.syslogPort    = String(cfg.port)
         })
+        electron.ipcRenderer.on("auth", (ev, cfg) => {
+            this.authEnabled = cfg.enabled
+            this.authTokens  = cfg.tokens
+        })
+        /*  request initial authentication state  */
+        electron.ipcRenderer.invoke("auth-get").then((cfg) => {
+            this.authEnabled = cfg.enabled
+            this.authTokens  = cfg.tokens
+        })
+        electron.ipcRenderer.on("schedule", (ev, rules) => {
+            this.scheduleRules = rules
+            this.scheduleRefresh()
+        })
+        /*  request initial scheduler state and periodically refresh the upcoming actions  */
+        electron.ipcRenderer.invoke("schedule-get").then((rules) => {
+            this.scheduleRules = rules
+            this.scheduleRefresh()
+        })
+        setInterval(() => {
+            this.scheduleRefresh()
+        }, 60 * 1000)
         electron.ipcRenderer.on("autosave-file", (ev, file) => {
             this.autosaveFile = file
         })
@@ -421,13 +506,52 @@ const app = Vue.createApp({
                 else
                     delete this.invalid[browser.id][field.name]
             }
+            /*  validate FFmpeg sinks (enabled ones require output arguments,
+                recording ones a plain file name template identifying the sink (by the
+                instance title or the sink name) and numeric segment limits,
+                and all of them numeric codec rate parameters, plain preset/profile names,
+                even output sizes and codecs available in FFmpeg)  */
+            for (const key of Object.keys(this.invalid[browser.id]))
+                if (key.match(/^X\d+[pdzbqgPOWHVA]?$/))
+                    delete this.invalid[browser.id][key]
+            browser.X.forEach((sink, i) => {
+                if (sink.e && !sink.c && sink.M.trim() === "")
+                    this.invalid[browser.id]["X" + i] = true
+                if (sink.c && (!sink.p.match(/^[^/\\]+$/) || !sink.p.match(/\{(?:title|sink)\}/)))
+                    this.invalid[browser.id]["X" + i + "p"] = true
+                if (sink.c && !String(sink.d).match(/^\d+$/))
+                    this.invalid[browser.id]["X" + i + "d"] = true
+                if (sink.c && !String(sink.z).match(/^\d+$/))
+                    this.invalid[browser.id]["X" + i + "z"] = true
+                if (!String(sink.b).match(/^\d+$/))
+                    this.invalid[browser.id]["X" + i + "b"] = true
+                if (!String(sink.q).match(/^(?:|[0-5]?\d|6[0-3])$/))
+                    this.invalid[browser.id]["X" + i + "q"] = true
+                if (!String(sink.g).match(/^\d+$/))
+                    this.invalid[browser.id]["X" + i + "g"] = true
+                if (!sink.P.match(/^[\w-]*$/))
+                    this.invalid[browser.id]["X" + i + "P"] = true
+                if (!sink.O.match(/^[\w.-]*$/))
+                    this.invalid[browser.id]["X" + i + "O"] = true
+                if (!String(sink.W).match(/^\d*[02468]$/))
+                    this.invalid[browser.id]["X" + i + "W"] = true
+                if (!String(sink.H).match(/^\d*[02468]$/))
+                    this.invalid[browser.id]["X" + i + "H"] = true
+                if (!this.codecSupported("video", sink.V))
+                    this.invalid[browser.id]["X" + i + "V"] = true
+                if (!this.codecSupported("audio", sink.A))
+                    this.invalid[browser.id]["X" + i + "A"] = true
+            })
             /*  validate NDI-only configuration (Output1 removed)  */
+            const byURL  = [ "url", "stream", "ndi" ].includes(browser.it)
+            const byData = [ "clock", "ticker" ].includes(browser.it)
             const hasInput = (
-                (browser.it === "url" && browser.u !== "") ||
-                (browser.it !== "url" && browser.if !== "")
+                (byURL && browser.u !== "") ||
+                    (!byURL && (browser.it === "compositor" ? browser.lo.trim() !== "" : (byData || browser.if !== "")))
             )
             if (   browser.N
-                && (browser.n || browser.m)
+                && (browser.n || browser.X.some((sink) => sink.e) || browser.s)
+                && (!browser.s || browser.sm === "listener" || browser.sh !== "")
                 && browser.t !== ""
                 && hasInput)
                 delete this.invalid[browser.id].GLOBAL
@@ -439,9 +563,16 @@ const app = Vue.createApp({
             this.stat[id] = { fps: 0, memUsed: 0, memAvail: 0 }
             this.burst[id] = {
                 video: { avg: 0, min: 0, max: 0, tmin: 0, tmax: 0 },
-                audio: { avg: 0, min: 0, max: 0, tmin: 0, tmax: 0 }
+                audio: { avg: 0, min: 0, max: 0, tmin: 0, tmax: 0 },
+                ffmpeg: null
             }
             this.tally[id] = { status: "unconnected", connections: 0 }
+            this.srt[id] = null
+            this.ffmpeg[id] = {}
+            this.recording[id] = {}
+            this.watchdog[id] = null
+            if (this.crash[id] === undefined)
+                this.crash[id] = null
             this.trace[id] = { warning: 0, error: 0, messages: [] }
             this.invalid[id] = {}
         },
@@ -450,6 +581,11 @@ const app = Vue.createApp({
             delete this.stat[id]
             delete this.burst[id]
             delete this.tally[id]
+            delete this.srt[id]
+            delete this.ffmpeg[id]
+            delete this.recording[id]
+            delete this.watchdog[id]
+            delete this.crash[id]
             delete this.trace[id]
             delete this.invalid[id]
         },
@@ -511,7 +647,7 @@ const app = Vue.createApp({
         async cloneBrowser (browserTemplate) {
             const id = new UUID(1).fold(2).map((num) =>
                 num.toString(16).toUpperCase().padStart(2, "0")).join("")
-            const browser = { ...browserTemplate, id }
+            const browser = { ...clone(browserTemplate), id }
             this.browsers.push(browser)
             this.resetState(id)
             this.validateState(browser)
@@ -555,6 +691,46 @@ const app = Vue.createApp({
             browser[field] = options[i]
             this.changed(browser)
         },
+        recordingCommand (browser, index, command) {
+            if (!this.running[browser.id])
+                return
+            electron.ipcRenderer.invoke("recording", browser.id, command, "ffmpeg-" + (index + 1))
+        },
+        formatDuration (seconds) {
+            const pad = (n) => String(n).padStart(2, "0")
+            return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`
+        },
+        formatSize (bytes) {
+            if (bytes >= 1024 * 1024 * 1024)
+                return (bytes / (1024 * 1024 * 1024)).toFixed(2) + " GB"
+            return (bytes / (1024 * 1024)).toFixed(1) + " MB"
+        },
+        codecSupported (kind, codec) {
+            return (this.support.codecs === undefined || this.support.codecs[kind].includes(codec))
+        },
+        toggleSink (browser, index, field, options) {
+            if (this.running[browser.id])
+                return
+            const sink = browser.X[index]
+            const i = options.indexOf(sink[field])
+            sink[field] = options[(i + 1) % options.length]
+            this.changed(browser)
+        },
+        addSink (browser) {
+            if (this.running[browser.id])
+                return
+            browser.X.push({ e: true, t: "", R: "vbr", F: "matroska", M: "",
+                V: "h264", A: "aac", b: "0", q: "", g: "0", P: "", O: "",
+                W: "0", H: "0", S: "fit", Q: "good",
+                c: false, p: "{title}_{date}_{time}.mkv", d: "0", z: "0", a: true })
+            this.changed(browser)
+        },
+        delSink (browser, index) {
+            if (this.running[browser.id])
+                return
+            browser.X.splice(index, 1)
+            this.changed(browser)
+        },
         changed: debounce(500, function (browser) {
             this.validateState(browser)
             this.modBrowser(clone(browser))
@@ -584,16 +760,100 @@ const app = Vue.createApp({
                 port:    parseInt(this.syslogPort, 10) || 514
             })
         },
+        toggleAuth () {
+            this.authEnabled = !this.authEnabled
+            this.authSave()
+        },
+        async addAuthToken () {
+            const token = await electron.ipcRenderer.invoke("auth-generate")
+            this.authTokens.push({ name: "", token, role: "viewer" })
+            this.authSave()
+        },
+        delAuthToken (i) {
+            this.authTokens.splice(i, 1)
+            this.authSave()
+        },
+        toggleAuthRole (token) {
+            const roles = [ "viewer", "operator", "admin" ]
+            token.role = roles[(roles.indexOf(token.role) + 1) % roles.length]
+            this.authSave()
+        },
+        authChanged: debounce(500, function () {
+            this.authSave()
+        }),
+        authSave () {
+            electron.ipcRenderer.invoke("auth-set", {
+                enabled: this.authEnabled,
+                tokens:  clone(this.authTokens)
+            })
+        },
+        browserTitle (id) {
+            const browser = this.browsers.find((browser) => browser.id === id)
+            return browser !== undefined ? browser.t : "(unknown)"
+        },
+        addScheduleRule () {
+            const id = new UUID(1).fold(2).map((num) =>
+                num.toString(16).toUpperCase().padStart(2, "0")).join("")
+            this.scheduleRules.push({
+                id,
+                enabled: true,
+                browser: this.browsers.length > 0 ? this.browsers[0].id : "",
+                when:    "0 8 * * *",
+                action:  "start",
+                value:   ""
+            })
+            this.scheduleSave()
+        },
+        delScheduleRule (i) {
+            this.scheduleRules.splice(i, 1)
+            this.scheduleSave()
+        },
+        toggleScheduleEnabled (rule) {
+            rule.enabled = !rule.enabled
+            this.scheduleSave()
+        },
+        toggleScheduleBrowser (rule) {
+            if (this.browsers.length === 0)
+                return
+            const i = this.browsers.findIndex((browser) => browser.id === rule.browser)
+            rule.browser = this.browsers[(i + 1) % this.browsers.length].id
+            this.scheduleSave()
+        },
+        toggleScheduleAction (rule) {
+            const actions = [ "start", "stop", "reload", "url", "files" ]
+            rule.action = actions[(actions.indexOf(rule.action) + 1) % actions.length]
+            this.scheduleSave()
+        },
+        scheduleChanged: debounce(500, function () {
+            this.scheduleSave()
+        }),
+        async scheduleSave () {
+            this.scheduleError = await electron.ipcRenderer.invoke("schedule-set", clone(this.scheduleRules))
+            this.scheduleRefresh()
+        },
+        async scheduleRefresh () {
+            this.scheduleUpcoming = await electron.ipcRenderer.invoke("schedule-upcoming")
+        },
+        formatScheduleTime (time) {
+            return moment(time).format("ddd HH:mm")
+        },
         async autosaveSetFile () {
             await electron.ipcRenderer.invoke("autosave-set-file")
         },
         async autosaveNow () {
             await electron.ipcRenderer.invoke("autosave-now")
         },
-        async selectMediaFiles (browser, multiSelect) {
-            const files = await electron.ipcRenderer.invoke("select-media-files", multiSelect)
+        async selectMediaFiles (browser, multiSelect, kind = "media") {
+            const files = await electron.ipcRenderer.invoke("select-media-files", multiSelect, kind)
             if (files !== null && files.length > 0) {
-                browser.if = files.join("\n")
+                browser[kind === "ticker" ? "xp" : "if"] = files.join("\n")
+                this.changed(browser)
+            }
+        },
+        async discoverNDI (browser) {
+            this.ndiSources = await electron.ipcRenderer.invoke("ndi-sources")
+            if (!this.running[browser.id] && browser.u === "" && this.ndiSources.length > 0) {
+                browser.u = this.ndiSources[0].name
                 this.changed(browser)
             }
         },
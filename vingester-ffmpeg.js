@@ -6,11 +6,53 @@
 
 /*  standard requirements  */
 const EventEmitter = require("events")
+const fs           = require("fs")
+const path         = require("path")
 
 /*  external requirements  */
 const execa        = require("execa")
 const which        = require("which")
 
+/*  internal requirements  */
+const util         = require("./vingester-util.js")
+
+/*  the supported video codecs (encoder, regular and alpha-preserving pixel format,
+    support for rate control and default Constant Rate Factor (CRF))  */
+const videoCodecs = {
+    h264:   { encoder: "libx264",    pixfmt: "yuv420p",     alpha: null,           rate: true,  crf: 22 },
+    hevc:   { encoder: "libx265",    pixfmt: "yuv420p",     alpha: null,           rate: true,  crf: 26 },
+    vp9:    { encoder: "libvpx-vp9", pixfmt: "yuv420p",     alpha: "yuva420p",     rate: true,  crf: 31 },
+    av1:    { encoder: "libsvtav1",  pixfmt: "yuv420p",     alpha: null,           rate: true,  crf: 32 },
+    prores: { encoder: "prores_ks",  pixfmt: "yuv422p10le", alpha: "yuva444p10le", rate: false, crf: null },
+    ffv1:   { encoder: "ffv1",       pixfmt: "yuv420p",     alpha: "yuva420p",     rate: false, crf: null },
+    qtrle:  { encoder: "qtrle",      pixfmt: "rgb24",       alpha: "argb",         rate: false, crf: null },
+    png:    { encoder: "png",        pixfmt: "rgb24",       alpha: "rgba",         rate: false, crf: null }
+}
+
+/*  the supported audio codecs  */
+const audioCodecs = {
+    aac:    "aac",
+    opus:   "libopus",
+    pcm:    "pcm_s16le"
+}
+
+/*  the mapping of the x264/x265 preset names onto the numeric
+    speed presets of libvpx-vp9 ("-cpu-used") and libsvtav1 ("-preset")  */
+const presetSpeeds = {
+    ultrafast: { vp9: 8, av1: 12 },
+    superfast: { vp9: 7, av1: 11 },
+    veryfast:  { vp9: 6, av1: 10 },
+    faster:    { vp9: 5, av1: 9 },
+    fast:      { vp9: 4, av1: 8 },
+    medium:    { vp9: 3, av1: 6 },
+    slow:      { vp9: 2, av1: 4 },
+    slower:    { vp9: 1, av1: 3 },
+    veryslow:  { vp9: 0, av1: 2 }
+}
+
+/*  the encoders of the FFmpeg executables (determined once per executable)  */
+const encoders = {}
+
 /*  the exported API  */
 module.exports = class FFmpeg extends EventEmitter {
     constructor (options = {}) {
@@ -28,6 +70,18 @@ module.exports = class FFmpeg extends EventEmitter {
             fps:        30,
             asr:        48000,
             ac:         2,
+            input:      "jpeg",
+            pixfmt:     "bgra",
+            srt:        null,
+            recording:  null,
+            vcodec:     "h264",
+            acodec:     "aac",
+            bitrate:    0,
+            crf:        null,
+            gop:        0,
+            preset:     "",
+            profile:    "",
+            alpha:      false,
             log:        (level, msg) => {}
         }, options)
 
@@ -35,7 +89,154 @@ module.exports = class FFmpeg extends EventEmitter {
         this.proc       = null
         this.stopping   = false
         this.workaround = false
+        this.state      = "stopped"
+        this.progress   = {}
+        this.lastError  = ""
+        this.restarter  = null
+        this.retries    = 0
+        this.exits      = 0
+        this.cadence    = null
+        this.frame      = null
+        this.frameNew   = false
+        this.dropped    = 0
+        this.duplicated = 0
+        this.recorder   = null
+        this.segment    = 0
+        this.file       = ""
+        this.fileSize   = 0
+        this.rotating   = false
+        this.recordingSince   = 0
+        this.recordingElapsed = 0
+        this.recordingSize    = 0
+    }
+
+    /*  determine whether a video codec can preserve the alpha channel  */
+    static alphaCapable (vcodec) {
+        return (videoCodecs[vcodec] !== undefined && videoCodecs[vcodec].alpha !== null)
+    }
+
+    /*  determine the video and audio codecs whose encoders a FFmpeg executable
+        provides (all of them, if the encoders cannot be determined at all)  */
+    static codecs (ffmpeg) {
+        if (encoders[ffmpeg] === undefined) {
+            try {
+                const result = execa.sync(ffmpeg, [ "-hide_banner", "-encoders" ],
+                    { timeout: 10 * 1000, windowsHide: true })
+                encoders[ffmpeg] = new Set(result.stdout.split(/\r?\n/)
+                    .map((line) => line.match(/^\s*[VAS][F.][S.][X.][B.][D.]\s+([^\s=]\S*)/))
+                    .filter((m) => m !== null)
+                    .map((m) => m[1]))
+            }
+            catch (err) {
+                encoders[ffmpeg] = null
+            }
+        }
+        const available = (encoder) => (encoders[ffmpeg] === null || encoders[ffmpeg].has(encoder))
+        return {
+            video:    Object.keys(videoCodecs).filter((name) => available(videoCodecs[name].encoder)),
+            audio:    Object.keys(audioCodecs).filter((name) => available(audioCodecs[name])),
+            detected: encoders[ffmpeg] !== null
+        }
     }
+
+    /*  build the SRT output URL  */
+    static srtURL (srt) {
+        const params = [
+            [ "mode",     srt.mode ],
+            [ "latency",  srt.latency * 1000 ],  /*  milliseconds to microseconds  */
+            [ "pkt_size", 1316 ]
+        ]
+        if (srt.passphrase !== "")
+            params.push([ "passphrase", srt.passphrase ], [ "pbkeylen", srt.pbkeylen ])
+        if (srt.streamid !== "")
+            params.push([ "streamid", srt.streamid ])
+        const query = params.map(([ key, val ]) => `${key}=${encodeURIComponent(val)}`).join("&")
+        const host  = (srt.host === "" && srt.mode === "listener" ? "0.0.0.0" : srt.host)
+        return `srt://${host.includes(":") ? `[${host}]` : host}:${srt.port}?${query}`
+    }
+
+    /*  change and announce the connection state  */
+    setState (state, reason = "") {
+        if (this.state === state)
+            return
+        this.state = state
+        this.emit("state", state, reason)
+    }
+
+    /*  parse "-progress" output (blocks of key=value lines)  */
+    parseProgress (chunk) {
+        this.progressBuffer = (this.progressBuffer ?? "") + chunk.toString()
+        const lines = this.progressBuffer.split(/\r?\n/)
+        this.progressBuffer = lines.pop()
+        for (const line of lines) {
+            const m = line.match(/^\s*([^=]+?)\s*=\s*(.*?)\s*$/)
+            if (m === null)
+                continue
+            const [ , key, value ] = m
+            if (key === "progress") {
+                const kbps = parseFloat(this.progress.bitrate)
+                this.retries = 0
+                this.setState("connected")
+                this.emit("progress", {
+                    frames:     parseInt(this.progress.frame ?? "0"),
+                    fps:        parseFloat(this.progress.fps ?? "0"),
+                    bitrate:    isNaN(kbps) ? 0 : kbps,
+                    size:       parseInt(this.progress.total_size ?? "0"),
+                    time:       parseInt(this.progress.out_time_us ?? "0") / 1000000,
+                    dropped:    parseInt(this.progress.drop_frames ?? "0"),
+                    duplicated: parseInt(this.progress.dup_frames ?? "0"),
+                    speed:      parseFloat(this.progress.speed ?? "0")
+                })
+                this.progress = {}
+            }
+            else
+                this.progress[key] = value
+        }
+    }
+
+    /*  feed raw video frames with a fixed cadence: the most recent frame is
+        written once per frame period, i.e., frames are duplicated if the capturing
+        is slower and dropped if it is faster than the target frame rate  */
+    startCadence () {
+        const period = 1000 / this.options.fps
+        const size   = this.options.width * this.options.height * 4
+        let   epoch  = Date.now()
+        let   count  = 0
+        const tick = () => {
+            if (this.proc === null || this.stopping)
+                return
+            const now = Date.now()
+            let due = Math.floor((now - epoch) / period) - count
+            if (due > this.options.fps) {
+                /*  we are lagging behind more than a second, so re-synchronize  */
+                epoch = now
+                count = 0
+                due   = 1
+            }
+            for (; due > 0; due--, count++) {
+                if (this.frame === null)
+                    continue
+                if (this.proc.stdio[0].writableLength > size * 2) {
+                    /*  FFmpeg does not keep up, so do not queue up even more data  */
+                    this.dropped++
+                    continue
+                }
+                if (!this.frameNew)
+                    this.duplicated++
+                this.frameNew = false
+                this.proc.stdio[0].write(this.frame)
+            }
+            this.cadence = setTimeout(tick, Math.max(0, epoch + (count + 1) * period - Date.now()))
+        }
+        this.cadence = setTimeout(tick, period)
+    }
+    stopCadence () {
+        if (this.cadence !== null) {
+            clearTimeout(this.cadence)
+            this.cadence = null
+        }
+    }
+
     async start () {
         /*  cleanup if necessary  */
         if (this.proc !== null && !this.stopping)
@@ -89,53 +290,115 @@ module.exports = class FFmpeg extends EventEmitter {
             return (size + "")
         }
 
+        /*  determine SRT specific options  */
+        const srt = this.options.srt
+        if (srt !== null) {
+            this.options.format = "mpegts"
+            this.options.args   = [ FFmpeg.srtURL(srt) ]
+        }
+
         /*  determine format specific options  */
         let opts = []
         if (this.options.format === "mp4")
             opts = opts.concat("-movflags",
                 "frag_keyframe+omit_tfhd_offset+empty_moov+default_base_moof+faststart")
 
-        /*  determine reasonable default video bitrate  */
-        if (this.options.mode === "vbr") {
-            /*  Variable Bit Rate (VBR) / Constant Rate Factor (CRF) -- recording  */
+        /*  determine codec specific options  */
+        const vname  = videoCodecs[this.options.vcodec] !== undefined ? this.options.vcodec : "h264"
+        const vcodec = videoCodecs[vname]
+        const acodec = audioCodecs[this.options.acodec] ?? audioCodecs.aac
+        let pixfmt = vcodec.pixfmt
+        if (this.options.alpha) {
+            if (vcodec.alpha !== null)
+                pixfmt = vcodec.alpha
+            else
+                this.options.log("warn", `video codec "${vname}" cannot preserve the alpha channel ` +
+                    "(use VP9, ProRes, FFV1, QuickTime Animation or PNG for transparent recordings)")
+        }
+        opts = opts.concat("-c:v", vcodec.encoder, "-pix_fmt", pixfmt)
+
+        /*  determine video rate control  */
+        const crf    = this.options.crf !== null ? this.options.crf : vcodec.crf
+        const preset = this.options.preset !== "" ? this.options.preset :
+            (this.options.mode === "vbr" ? "medium" : "veryfast")
+        const speed  = presetSpeeds[preset]
+        if (vname === "h264" || vname === "hevc")
+            opts = opts.concat("-preset", preset)
+        else if (vname === "vp9")
             opts = opts.concat(
-                "-preset", "medium",
-                "-crf", "22")
+                "-deadline", this.options.mode === "vbr" ? "good" : "realtime",
+                "-cpu-used", speed !== undefined ? speed.vp9 : preset,
+                "-row-mt", "1")
+        else if (vname === "av1")
+            opts = opts.concat("-preset", speed !== undefined ? speed.av1 : preset)
+        if (vcodec.rate && this.options.mode === "vbr") {
+            /*  Variable Bit Rate (VBR) / Constant Rate Factor (CRF) -- recording  */
+            opts = opts.concat("-crf", crf)
+            if (vname === "vp9")
+                opts = opts.concat("-b:v", "0")
         }
-        else if (this.options.mode === "abr") {
+        else if (vcodec.rate && this.options.mode === "abr") {
             /*  Adaptive Bit Rate (ABR) -- (recording/)streaming  */
-            const bitrate = bitrateCalc()
-            opts = opts.concat(
-                "-preset", "veryfast",
-                "-b:v", sizeFormat(bitrate),
-                "-minrate", sizeFormat(bitrate * 0.5),
-                "-maxrate", sizeFormat(bitrate * 1.5),
-                "-fflags", "flush_packets")
+            const bitrate = this.options.bitrate > 0 ? this.options.bitrate * 1000 : bitrateCalc()
+            opts = opts.concat("-b:v", sizeFormat(bitrate))
+            if (vname !== "av1")
+                opts = opts.concat(
+                    "-minrate", sizeFormat(bitrate * 0.5),
+                    "-maxrate", sizeFormat(bitrate * 1.5))
+            opts = opts.concat("-fflags", "flush_packets")
         }
-        else if (this.options.mode === "cbr") {
+        else if (vcodec.rate && this.options.mode === "cbr") {
             /*  Constant Bit Rate (CBR) -- streaming  */
-            const bitrate = bitrateCalc()
-            opts = opts.concat(
-                "-preset", "veryfast",
-                "-x264-params", "nal-hrd=cbr",
-                "-b:v", sizeFormat(bitrate),
-                "-minrate", sizeFormat(bitrate),
-                "-maxrate", sizeFormat(bitrate),
-                "-bufsize", sizeFormat(bitrate * 2),
-                "-fflags", "flush_packets")
+            const bitrate = this.options.bitrate > 0 ? this.options.bitrate * 1000 : bitrateCalc()
+            if (vname === "h264")
+                opts = opts.concat("-x264-params", "nal-hrd=cbr")
+            else if (vname === "hevc")
+                opts = opts.concat("-x265-params", "strict-cbr=1")
+            else if (vname === "av1")
+                opts = opts.concat("-svtav1-params", "rc=2:pred-struct=1")
+            opts = opts.concat("-b:v", sizeFormat(bitrate))
+            if (vname !== "av1")
+                opts = opts.concat(
+                    "-minrate", sizeFormat(bitrate),
+                    "-maxrate", sizeFormat(bitrate),
+                    "-bufsize", sizeFormat(bitrate * 2))
+            opts = opts.concat("-fflags", "flush_packets")
         }
+        else if (vname === "ffv1")
+            opts = opts.concat("-level", "3", "-slicecrc", "1")
+
+        /*  determine video profile and Group of Pictures (GOP) size  */
+        if (this.options.profile !== "")
+            opts = opts.concat("-profile:v", this.options.profile)
+        else if (vname === "prores")
+            opts = opts.concat("-profile:v", pixfmt === vcodec.alpha ? "4444" : "hq")
+        if (this.options.gop > 0)
+            opts = opts.concat("-g", this.options.gop)
 
         /*  determine FFmpeg CLI arguments  */
         const options = [
             /*  top-level options  */
-            "-loglevel", "0",
+            ...(srt !== null ? [
+                "-loglevel", "error",
+                "-nostats",
+                "-progress", "pipe:1"
+            ] : [
+                "-loglevel", "0"
+            ]),
 
             /*  generic options  */
             "-use_wallclock_as_timestamps", "1",
             "-fflags", "+genpts",
 
             /*  video input options  */
-            ...(this.options.fps > 0 ? [
+            ...(this.options.fps > 0 && this.options.input === "raw" ? [
+                "-f", "rawvideo",
+                "-pix_fmt", this.options.pixfmt,
+                "-s", `${this.options.width}x${this.options.height}`,
+                "-framerate", this.options.fps,
+                "-i", "pipe:0"
+            ] : []),
+            ...(this.options.fps > 0 && this.options.input !== "raw" ? [
                 "-f", "image2pipe",
                 "-framerate", this.options.fps,
                 "-pix_fmt", "rgba",
@@ -162,19 +425,19 @@ module.exports = class FFmpeg extends EventEmitter {
 
             /*  specific output options (defaults)  */
             ...(this.options.fps > 0 ? [
-                "-c:v", "h264",
-                "-pix_fmt", "yuv420p",
                 "-r", this.options.fps,
                 ...opts
             ] : [
                 "-vn"
             ]),
             ...(this.options.ac > 0 ? [
-                "-c:a", "aac"
+                "-c:a", acodec
             ] : [
                 "-an"
             ]),
-            "-y",
+
+            /*  overwrite plain output files, but never recordings  */
+            this.options.recording !== null ? "-n" : "-y",
 
             /*  specific output format  */
             "-f", this.options.format,
@@ -184,32 +447,96 @@ module.exports = class FFmpeg extends EventEmitter {
         ]
 
         /*  start ffmpeg(1) sub-process  */
+        this.cmdline          = options
+        this.segment          = 0
+        this.recordingSince   = Date.now()
+        this.recordingElapsed = 0
+        this.recordingSize    = 0
+        this.fileSize         = 0
+        this.spawn()
+        if (this.options.fps > 0 && this.options.input === "raw")
+            this.startCadence()
+        if (this.options.recording !== null)
+            this.startRecorder()
+    }
+
+    /*  spawn the ffmpeg(1) sub-process (for recordings, into the next segment file)  */
+    spawn () {
+        const srt = this.options.srt
+        const options = [ ...this.cmdline ]
+        if (this.options.recording !== null) {
+            const previous    = this.file
+            this.file         = util.RecordingFileName.unique(this.options.recording.filename(++this.segment),
+                (file) => file === previous || fs.existsSync(path.resolve(this.options.cwd, file)))
+            this.segmentStart = Date.now()
+            options.push(this.file)
+        }
         this.options.log("info", `starting FFmpeg process: ${this.options.ffmpeg} ${options.join(" ")} (cwd: ${this.options.cwd})`)
-        this.proc = execa(this.options.ffmpeg, options, {
+        const proc = this.proc = execa(this.options.ffmpeg, options, {
             stdio: [ "pipe", "pipe", "pipe", "pipe" ],
             cwd:   this.options.cwd
         })
-        this.proc.stdout.on("data", (line) => {
-            if (this.stopping)
+        this.progress       = {}
+        this.progressBuffer = ""
+        this.lastError      = ""
+        if (srt !== null)
+            this.setState(srt.mode === "listener" ? "listening" : "connecting")
+        else
+            this.setState("running")
+        if (this.options.recording !== null)
+            this.emit("segment", this.file)
+        proc.stdout.on("data", (line) => {
+            if (this.stopping || proc !== this.proc)
+                return
+            if (srt !== null) {
+                this.parseProgress(line)
                 return
+            }
             this.options.log("info", `FFmpeg stdout: ${line.toString()}`)
             this.emit("error", `FFmpeg stdout: ${line.toString()}`)
         })
-        this.proc.stderr.on("data", (line) => {
-            if (this.stopping)
+        proc.stderr.on("data", (line) => {
+            if (this.stopping || proc !== this.proc)
                 return
             this.options.log("info", `FFmpeg stderr: ${line.toString()}`)
+            if (srt !== null) {
+                this.lastError = line.toString().trim().split(/\r?\n/).pop()
+                return
+            }
             this.emit("error", `FFmpeg stderr: ${line.toString()}`)
         })
 
-        /*  process exit of ffmpeg(1) subprocess  */
+        /*  process exit of ffmpeg(1) subprocess
+            (exits of processes of previous recording segments are expected)  */
         this.workaround = false
-        this.proc.on("exit", async (code, signal) => {
-            if (this.stopping)
+        proc.on("exit", async (code, signal) => {
+            if (this.stopping || proc !== this.proc)
                 return
 
             /*  just log the information  */
             this.options.log("error", `FFmpeg exit: code: ${code}, signal: ${signal}`)
+            this.stopCadence()
+            this.stopRecorder()
+            this.exits++
+            if (this.options.recording !== null) {
+                this.accountTime()
+                await this.accountFile(this.file)
+            }
+
+            /*  for SRT streams, the peer is allowed to go away (or to be not
+                reachable yet), so re-establish the connection with an increasing delay  */
+            if (srt !== null && !(code === null && signal === "SIGSEGV")) {
+                this.setState("disconnected", this.lastError)
+                this.proc = null
+                const delay = Math.min(2 * Math.pow(2, this.retries++), 30)
+                this.restarter = setTimeout(() => {
+                    this.restarter = null
+                    if (!this.stopping)
+                        this.start()
+                }, delay * 1000)
+                return
+            }
+            this.setState("exited", `code: ${code}, signal: ${signal}`)
 
             /*  NASTY WORKAROUND: on some Linux platforms (e.g. Ubuntu 20.10) the statically built
                 ffmpeg(1) executable (built under Debian AFAIK) unfortunately segfaults, so at
@@ -231,44 +558,192 @@ module.exports = class FFmpeg extends EventEmitter {
                 }
             }
         })
+
+        /*  the exit is handled above, so neither a non-zero exit code nor
+            a broken input pipe (with still queued up data) is an error  */
+        proc.catch(() => {})
+        proc.stdio[0].on("error", () => {})
+        proc.stdio[3].on("error", () => {})
+    }
+
+    /*  monitor recordings: update and announce the recording status and split
+        recordings into segment files once the segment duration or size is reached  */
+    startRecorder () {
+        const recording = this.options.recording
+        this.recorder = setInterval(async () => {
+            if (this.proc === null || this.stopping || this.rotating)
+                return
+            this.fileSize = await this.sizeOf(this.file)
+            this.emit("recording", this.recordingStatus())
+            if (   (recording.segmentTime > 0 && Date.now() - this.segmentStart >= recording.segmentTime * 1000)
+                || (recording.segmentSize > 0 && this.fileSize >= recording.segmentSize))
+                await this.rotate()
+        }, 1000)
+    }
+    stopRecorder () {
+        if (this.recorder !== null) {
+            clearInterval(this.recorder)
+            this.recorder = null
+        }
+    }
+
+    /*  determine the size of a recording file  */
+    async sizeOf (file) {
+        const stat = await fs.promises.stat(path.resolve(this.options.cwd, file)).catch(() => null)
+        return stat !== null ? stat.size : 0
+    }
+
+    /*  account the running time of a recording up to now  */
+    accountTime () {
+        if (this.recordingSince > 0) {
+            this.recordingElapsed += Date.now() - this.recordingSince
+            this.recordingSince    = 0
+        }
+    }
+
+    /*  account a finished recording file  */
+    async accountFile (file) {
+        this.fileSize       = 0
+        this.recordingSize += await this.sizeOf(file)
+    }
+
+    /*  determine the recording status (elapsed time in seconds,
+        file size in bytes of all segment files and average bitrate in kbps)  */
+    recordingStatus () {
+        const since   = this.recordingSince > 0 ? Date.now() - this.recordingSince : 0
+        const elapsed = (this.recordingElapsed + since) / 1000
+        const size    = this.recordingSize + this.fileSize
+        return {
+            state:   this.state,
+            file:    this.file,
+            elapsed: Math.round(elapsed),
+            size,
+            bitrate: elapsed > 0 ? Math.round((size * 8) / elapsed / 1000) : 0
+        }
+    }
+
+    /*  split the recording into a new segment file: the process for the new
+        segment is started before the previous one is finished, so no frames are lost  */
+    async rotate () {
+        if (this.options.recording === null || this.proc === null || this.stopping || this.rotating)
+            return false
+        this.rotating = true
+        const proc = this.proc
+        const file = this.file
+        this.spawn()
+        this.fileSize = 0
+        await this.finish(proc)
+        this.recordingSize += await this.sizeOf(file)
+        this.rotating = false
+        return true
+    }
+
+    /*  pause the recording: the current file is finished and
+        resuming continues the recording with the next segment file  */
+    async pause () {
+        if (this.options.recording === null || this.proc === null || this.stopping || this.rotating)
+            return false
+        this.stopping = true
+        this.stopCadence()
+        this.stopRecorder()
+        this.accountTime()
+        await this.finish(this.proc)
+        await this.accountFile(this.file)
+        this.proc     = null
+        this.stopping = false
+        this.setState("paused")
+        this.emit("recording", this.recordingStatus())
+        return true
+    }
+
+    /*  resume the paused recording  */
+    async resume () {
+        if (this.state !== "paused")
+            return false
+        this.recordingSince = Date.now()
+        this.spawn()
+        if (this.options.fps > 0 && this.options.input === "raw")
+            this.startCadence()
+        this.startRecorder()
+        return true
+    }
+
+    /*  gracefully finish a ffmpeg(1) sub-process  */
+    async finish (proc) {
+        try {
+            /*  close the input streams  */
+            this.options.log("info", "closing FFmpeg input streams")
+            proc.stdio[0].end()
+            proc.stdio[3].end()
+            await new Promise((resolve) => setTimeout(resolve, 500))
+
+            /*  stop sub-process  */
+            this.options.log("info", "stopping FFmpeg process")
+            proc.kill("SIGINT")
+            await new Promise((resolve) => setTimeout(resolve, 1000))
+            proc.kill("SIGTERM", { forceKillAfterTimeout: 2000 })
+            await proc
+        }
+        catch (err) {
+            /*  no-op  */
+        }
+    }
+    /*  write to an input stream of the ffmpeg(1) sub-process without waiting for it, but drop
+        the data once too much is queued up, as FFmpeg does not read its inputs while it does
+        not keep up or blocks on opening its output (e.g. an SRT listener without a peer)  */
+    write (stream, data, limit) {
+        if (stream.writableLength > limit)
+            return false
+        stream.write(data)
+        return true
     }
     async video (data) {
-        if (this.options.fps > 0 && this.proc !== null && !this.stopping)
-            await ((new Promise((resolve) => this.proc.stdio[0].write(data, null, resolve))).catch((err) => null))
+        if (this.options.fps > 0 && this.options.input === "raw") {
+            /*  just remember the frame, the cadence timer will write it  */
+            if (this.frameNew)
+                this.dropped++
+            this.frame    = data
+            this.frameNew = true
+        }
+        else if (this.options.fps > 0 && this.proc !== null && !this.stopping) {
+            /*  allow about two raw frames worth of encoded frames to be queued up  */
+            if (!this.write(this.proc.stdio[0], data, this.options.width * this.options.height * 4 * 2))
+                this.dropped++
+        }
     }
     async audio (data) {
+        /*  allow about one second of audio to be queued up  */
         if (this.options.ac > 0 && this.proc !== null && !this.stopping)
-            await ((new Promise((resolve) => this.proc.stdio[3].write(data, null, resolve))).catch((err) => null))
+            this.write(this.proc.stdio[3], data, this.options.asr * this.options.ac * 2)
     }
     async stop () {
+        /*  cancel pending reconnects  */
+        if (this.restarter !== null) {
+            clearTimeout(this.restarter)
+            this.restarter = null
+        }
+        this.retries = 0
+
         /*  kill ffmpeg(1) subprocess  */
         if (this.proc !== null && !this.stopping) {
-            try {
-                /*  stop feeding the input streams  */
-                this.options.log("info", "stopping FFmpeg input stream feeding")
-                this.stopping = true
-                await new Promise((resolve) => setTimeout(resolve, 500))
-
-                /*  close the input streams  */
-                this.options.log("info", "closing FFmpeg input streams")
-                this.proc.stdio[0].end()
-                this.proc.stdio[3].end()
-                await new Promise((resolve) => setTimeout(resolve, 500))
-
-                /*  stop sub-process  */
-                this.options.log("info", "stopping FFmpeg process")
-                this.proc.kill("SIGINT")
-                await new Promise((resolve) => setTimeout(resolve, 1000))
-                this.proc.kill("SIGTERM", { forceKillAfterTimeout: 2000 })
-                await this.proc
+            /*  stop feeding the input streams  */
+            this.options.log("info", "stopping FFmpeg input stream feeding")
+            this.stopping = true
+            this.stopCadence()
+            this.stopRecorder()
+            this.accountTime()
+            this.frame    = null
+            this.frameNew = false
+            await new Promise((resolve) => setTimeout(resolve, 500))
 
-                this.proc = null
-                this.stopping = false
-            }
-            catch (err) {
-                /*  no-op  */
-            }
+            /*  finish sub-process  */
+            await this.finish(this.proc)
+            if (this.options.recording !== null)
+                await this.accountFile(this.file)
+            this.proc     = null
+            this.stopping = false
         }
+        this.setState("stopped")
         return Promise.resolve(true)
     }
 }
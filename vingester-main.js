@@ -8,6 +8,7 @@
 const path        = require("path")
 const fs          = require("fs")
 const process     = require("process")
+const EventEmitter = require("events")
 
 /*  require external modules  */
 const electron    = require("electron")
@@ -21,17 +22,24 @@ const UUID        = require("pure-uuid")
 const express     = require("express")
 const http        = require("http")
 const multer      = require("multer")
+const WebSocket   = require("ws")
 const moment      = require("moment")
+const got         = require("got")
 const mkdirp      = require("mkdirp")
 const FFmpeg      = require("@rse/ffmpeg")
 
 /*  require own modules  */
 const Browser     = require("./vingester-browser.js")
+const FFmpegSink  = require("./vingester-ffmpeg.js")
+const Receiver    = require("./vingester-ndi.js")
 const Update      = require("./vingester-update.js")
 const util        = require("./vingester-util.js")
 const log         = require("./vingester-log.js").scope("main")
 const pkg         = require("./package.json")
 const syslog      = require("./vingester-syslog.js")
+const auth        = require("./vingester-auth.js")
+const scheduler   = require("./vingester-scheduler.js")
+const Metrics     = require("./vingester-metrics.js")
 
 /*  get rid of unnecessary security warnings when debugging  */
 if (typeof process.env.DEBUG !== "undefined") {
@@ -57,7 +65,8 @@ const version = {
 }
 const support = {
     ndi:       grandiose.isSupportedCPU(),
-    srt:       FFmpeg.info.protocols?.srt?.input === true
+    srt:       FFmpeg.info.protocols?.srt?.input === true,
+    codecs:    FFmpegSink.codecs(FFmpeg.binary)
 }
 electron.ipcMain.handle("version", (ev) => { return version })
 electron.ipcMain.handle("support", (ev) => { return support })
@@ -69,6 +78,11 @@ log.info(`using V8: ${version.v8}`)
 log.info(`using Node.js: ${version.node}`)
 log.info(`using NDI: ${version.ndi} (supported by CPU: ${support.ndi ? "yes" : "no"})`)
 log.info(`using FFmpeg: ${version.ffmpeg}`)
+if (!support.codecs.detected)
+    log.warn("using FFmpeg: failed to determine encoders (assuming all codecs to be available)")
+else
+    log.info(`using FFmpeg codecs: video: ${support.codecs.video.join(", ")}, ` +
+        `audio: ${support.codecs.audio.join(", ")}`)
 log.info(`using Vue: ${version.vuejs}`)
 
 /*  support particular profiles  */
@@ -88,7 +102,8 @@ else {
 }
 
 /*  support configuration auto-import/export  */
-let configFile = null
+let configFile       = null
+let configFileTokens = false
 if (electron.app.commandLine.hasSwitch("config")) {
     configFile = electron.app.commandLine.getSwitchValue("config")
     log.info(`using auto-import/export configuration: "${configFile}"`)
@@ -134,6 +149,15 @@ syslog.configure({
     port:    store.get("syslog.port",    514)
 })
 
+/*  initialize API/Web UI authentication from stored settings  */
+auth.configure({
+    enabled: store.get("auth.enabled", false),
+    tokens:  store.get("auth.tokens",  [])
+})
+
+/*  initialize time-based scheduler from stored rules  */
+scheduler.configure(store.get("schedule", []))
+
 /*  optionally and early disable GPU hardware acceleration  */
 if (!store.get("gpu")) {
     log.info("disabling GPU hardware acceleration (explicitly configured)")
@@ -355,11 +379,36 @@ electron.app.on("ready", async () => {
      *    def:   default value
      *    etype: exported type (for YAML)
      *    ename: external long name used in YAML export/import
+     *    list:  sub-field definitions (for fields of type "list" only,
+     *           which hold a list of entries with fields on their own)
      *
      *  NOTE: Output1 (frameless window) fields (D, x, y, d, p, A) have been removed.
      *  Old YAML configs with those fields will have them silently ignored on import
      *  for full backward compatibility.
      */
+    const ffmpegSinkFields = [
+        { iname: "e",  itype: "boolean", def: true,          etype: "boolean", ename: "Enabled" },
+        { iname: "t",  itype: "string",  def: "",            etype: "string",  ename: "Name" },
+        { iname: "R",  itype: "string",  def: "vbr",         etype: "string",  ename: "Mode" },
+        { iname: "F",  itype: "string",  def: "matroska",    etype: "string",  ename: "Format" },
+        { iname: "V",  itype: "string",  def: "h264",        etype: "string",  ename: "VideoCodec" },
+        { iname: "A",  itype: "string",  def: "aac",         etype: "string",  ename: "AudioCodec" },
+        { iname: "b",  itype: "string",  def: "0",           etype: "number",  ename: "Bitrate" },
+        { iname: "q",  itype: "string",  def: "",            etype: "string",  ename: "CRF" },
+        { iname: "g",  itype: "string",  def: "0",           etype: "number",  ename: "GOP" },
+        { iname: "P",  itype: "string",  def: "",            etype: "string",  ename: "Preset" },
+        { iname: "O",  itype: "string",  def: "",            etype: "string",  ename: "Profile" },
+        { iname: "W",  itype: "string",  def: "0",           etype: "number",  ename: "Width" },
+        { iname: "H",  itype: "string",  def: "0",           etype: "number",  ename: "Height" },
+        { iname: "S",  itype: "string",  def: "fit",         etype: "string",  ename: "Scaling" },
+        { iname: "Q",  itype: "string",  def: "good",        etype: "string",  ename: "Quality" },
+        { iname: "M",  itype: "string",  def: "",            etype: "string",  ename: "Options", secret: true },
+        { iname: "c",  itype: "boolean", def: false,         etype: "boolean", ename: "Recording" },
+        { iname: "p",  itype: "string",  def: "{title}_{date}_{time}.mkv", etype: "string", ename: "FileName" },
+        { iname: "d",  itype: "string",  def: "0",           etype: "number",  ename: "SegmentDuration" },
+        { iname: "z",  itype: "string",  def: "0",           etype: "number",  ename: "SegmentSize" },
+        { iname: "a",  itype: "boolean", def: true,          etype: "boolean", ename: "AutoStart" }
+    ]
     const fields = [
         { iname: "t",  itype: "string",  def: "",            etype: "string",  ename: "BrowserTitle" },
         { iname: "i",  itype: "string",  def: "",            etype: "string",  ename: "BrowserInfo" },
@@ -374,11 +423,55 @@ electron.app.on("ready", async () => {
         { iname: "ar", itype: "boolean", def: false,         etype: "boolean", ename: "AutoRefreshEnabled" },
         { iname: "ai", itype: "string",  def: "300",         etype: "number",  ename: "AutoRefreshInterval" },
         { iname: "as", itype: "boolean", def: false,         etype: "boolean", ename: "InstanceAutoStart" },
+        { iname: "wd", itype: "boolean", def: false,         etype: "boolean", ename: "WatchdogEnabled" },
+        { iname: "wt", itype: "string",  def: "30",          etype: "number",  ename: "WatchdogWindow" },
+        { iname: "wf", itype: "boolean", def: true,          etype: "boolean", ename: "WatchdogFrozen" },
+        { iname: "wb", itype: "boolean", def: true,          etype: "boolean", ename: "WatchdogBlack" },
+        { iname: "wa", itype: "string",  def: "reload,restart,alert", etype: "string", ename: "WatchdogActions" },
+        { iname: "wu", itype: "string",  def: "",            etype: "string",  ename: "WatchdogWebhook", secret: true },
+        { iname: "cb", itype: "string",  def: "5",           etype: "number",  ename: "CrashRestartBudget" },
+        { iname: "ni", itype: "string",  def: "0",           etype: "number",  ename: "SnapshotInterval" },
+        { iname: "nf", itype: "string",  def: "png",         etype: "string",  ename: "SnapshotFormat" },
+        { iname: "nk", itype: "string",  def: "100",         etype: "number",  ename: "SnapshotKeep" },
         { iname: "it", itype: "string",  def: "url",         etype: "string",  ename: "InputType" },
         { iname: "u",  itype: "string",  def: "",            etype: "string",  ename: "InputURL" },
         { iname: "if", itype: "string",  def: "",            etype: "string",  ename: "InputFiles" },
         { iname: "si", itype: "string",  def: "5",           etype: "number",  ename: "SlideshowInterval" },
         { iname: "sf", itype: "string",  def: "1",           etype: "number",  ename: "SlideshowFade" },
+        { iname: "st", itype: "string",  def: "fade",        etype: "string",  ename: "SlideshowTransition" },
+        { iname: "sv", itype: "boolean", def: true,          etype: "boolean", ename: "SlideshowVideoEnd" },
+        { iname: "sa", itype: "boolean", def: false,         etype: "boolean", ename: "SlideshowAudio" },
+        { iname: "sr", itype: "boolean", def: false,         etype: "boolean", ename: "SlideshowShuffle" },
+        { iname: "so", itype: "boolean", def: true,          etype: "boolean", ename: "SlideshowLoop" },
+        { iname: "sg", itype: "string",  def: "*",           etype: "string",  ename: "SlideshowGlob" },
+        { iname: "ss", itype: "string",  def: "name",        etype: "string",  ename: "SlideshowSort" },
+        { iname: "td", itype: "string",  def: "",            etype: "string",  ename: "TemplateData" },
+        { iname: "ta", itype: "boolean", def: true,          etype: "boolean", ename: "TemplateAutoPlay" },
+        { iname: "cm", itype: "string",  def: "time",        etype: "string",  ename: "ClockMode" },
+        { iname: "cz", itype: "string",  def: "",            etype: "string",  ename: "ClockTimezone" },
+        { iname: "ct", itype: "string",  def: "",            etype: "string",  ename: "ClockTarget" },
+        { iname: "cs", itype: "string",  def: "sans-serif",  etype: "string",  ename: "ClockFont" },
+        { iname: "cc", itype: "string",  def: "#ffffff",     etype: "string",  ename: "ClockColor" },
+        { iname: "cg", itype: "string",  def: "transparent", etype: "string",  ename: "ClockBackground" },
+        { iname: "cx", itype: "string",  def: "30",          etype: "number",  ename: "ClockSize" },
+        { iname: "xs", itype: "string",  def: "text",        etype: "string",  ename: "TickerSource" },
+        { iname: "xt", itype: "string",  def: "",            etype: "string",  ename: "TickerText" },
+        { iname: "xp", itype: "string",  def: "",            etype: "string",  ename: "TickerPath" },
+        { iname: "xr", itype: "string",  def: "60",          etype: "number",  ename: "TickerRefresh" },
+        { iname: "xv", itype: "string",  def: "120",         etype: "number",  ename: "TickerSpeed" },
+        { iname: "xd", itype: "string",  def: "left",        etype: "string",  ename: "TickerDirection" },
+        { iname: "xa", itype: "string",  def: "bottom",      etype: "string",  ename: "TickerPosition" },
+        { iname: "xn", itype: "string",  def: "sans-serif",  etype: "string",  ename: "TickerFont" },
+        { iname: "xz", itype: "string",  def: "6",           etype: "number",  ename: "TickerSize" },
+        { iname: "xc", itype: "string",  def: "#ffffff",     etype: "string",  ename: "TickerColor" },
+        { iname: "xg", itype: "string",  def: "rgba(0,0,0,0.6)", etype: "string", ename: "TickerBackground" },
+        { iname: "yo", itype: "string",  def: "",            etype: "string",  ename: "StreamOptions" },
+        { iname: "yr", itype: "string",  def: "2",           etype: "number",  ename: "StreamReconnect" },
+        { iname: "yt", itype: "string",  def: "10",          etype: "number",  ename: "StreamTimeout" },
+        { iname: "ya", itype: "boolean", def: true,          etype: "boolean", ename: "StreamAudio" },
+        { iname: "db", itype: "string",  def: "highest",     etype: "string",  ename: "NDIInputBandwidth" },
+        { iname: "da", itype: "boolean", def: true,          etype: "boolean", ename: "NDIInputAudio" },
+        { iname: "lo", itype: "string",  def: "",            etype: "string",  ename: "CompositorLayout" },
         { iname: "k",  itype: "string",  def: "0",           etype: "number",  ename: "PatchDelay" },
         { iname: "j",  itype: "string",  def: "",            etype: "string",  ename: "PatchFrame" },
         { iname: "g",  itype: "string",  def: "inline",      etype: "string",  ename: "PatchStyleType" },
@@ -395,15 +488,69 @@ electron.app.on("ready", async () => {
         { iname: "n",  itype: "boolean", def: true,          etype: "boolean", ename: "Output2SinkNDIEnabled" },
         { iname: "v",  itype: "boolean", def: true,          etype: "boolean", ename: "Output2SinkNDIAlpha" },
         { iname: "l",  itype: "boolean", def: false,         etype: "boolean", ename: "Output2SinkNDITallyReload" },
-        { iname: "m",  itype: "boolean", def: false,         etype: "boolean", ename: "Output2SinkFFmpegEnabled" },
-        { iname: "R",  itype: "string",  def: "vbr",         etype: "string",  ename: "Output2SinkFFmpegMode" },
-        { iname: "F",  itype: "string",  def: "matroska",    etype: "string",  ename: "Output2SinkFFmpegFormat" },
-        { iname: "M",  itype: "string",  def: "",            etype: "string",  ename: "Output2SinkFFmpegOptions" },
+        { iname: "nw", itype: "string",  def: "0",           etype: "number",  ename: "Output2SinkNDIWidth" },
+        { iname: "nh", itype: "string",  def: "0",           etype: "number",  ename: "Output2SinkNDIHeight" },
+        { iname: "ns", itype: "string",  def: "fit",         etype: "string",  ename: "Output2SinkNDIScaling" },
+        { iname: "nq", itype: "string",  def: "good",        etype: "string",  ename: "Output2SinkNDIQuality" },
+        { iname: "X",  itype: "list",    def: [],            etype: "list",    ename: "Output2SinkFFmpeg", list: ffmpegSinkFields },
+        { iname: "mi", itype: "string",  def: "jpeg",        etype: "string",  ename: "Output2SinkFFmpegVideoInput" },
+        { iname: "rd", itype: "string",  def: "",            etype: "string",  ename: "Output2SinkRecordingDirectory" },
+        { iname: "rk", itype: "string",  def: "0",           etype: "number",  ename: "Output2SinkRecordingKeepDays" },
+        { iname: "rq", itype: "string",  def: "0",           etype: "number",  ename: "Output2SinkRecordingQuota" },
+        { iname: "s",  itype: "boolean", def: false,         etype: "boolean", ename: "Output2SinkSRTEnabled" },
+        { iname: "sm", itype: "string",  def: "caller",      etype: "string",  ename: "Output2SinkSRTMode" },
+        { iname: "sh", itype: "string",  def: "",            etype: "string",  ename: "Output2SinkSRTHost" },
+        { iname: "sp", itype: "string",  def: "9000",        etype: "number",  ename: "Output2SinkSRTPort" },
+        { iname: "sl", itype: "string",  def: "120",         etype: "number",  ename: "Output2SinkSRTLatency" },
+        { iname: "sk", itype: "string",  def: "",            etype: "string",  ename: "Output2SinkSRTPassphrase", secret: true },
+        { iname: "sb", itype: "string",  def: "16",          etype: "number",  ename: "Output2SinkSRTKeyLength" },
+        { iname: "sd", itype: "string",  def: "",            etype: "string",  ename: "Output2SinkSRTStreamId" },
+        { iname: "mw", itype: "string",  def: "0",           etype: "number",  ename: "Output2SinkSRTWidth" },
+        { iname: "mh", itype: "string",  def: "0",           etype: "number",  ename: "Output2SinkSRTHeight" },
+        { iname: "ms", itype: "string",  def: "fit",         etype: "string",  ename: "Output2SinkSRTScaling" },
+        { iname: "mq", itype: "string",  def: "good",        etype: "string",  ename: "Output2SinkSRTQuality" },
         { iname: "P",  itype: "boolean", def: false,         etype: "boolean", ename: "PreviewEnabled" },
         { iname: "T",  itype: "boolean", def: false,         etype: "boolean", ename: "ConsoleEnabled" },
         { iname: "E",  itype: "boolean", def: false,         etype: "boolean", ename: "DevToolsEnabled" },
         { iname: "_",  itype: "boolean", def: false,         etype: "boolean", ename: "Collapsed" }
     ]
+    const convertValue = (value, type) => {
+        if (type === "boolean" && typeof value !== "boolean")
+            value = Boolean(value)
+        else if (type === "number" && typeof value !== "number")
+            value = Number(value)
+        else if (type === "string" && typeof value !== "string")
+            value = String(value)
+        return value
+    }
+    const sanitizeEntry = (entry, fields) => {
+        let changed = 0
+        for (const field of fields) {
+            if (entry[field.iname] === undefined) {
+                entry[field.iname] = field.itype === "list" ? [] : field.def
+                changed++
+            }
+            else if (field.itype === "list") {
+                const items = (Array.isArray(entry[field.iname]) ? entry[field.iname] : [])
+                    .filter((item) => typeof item === "object" && item !== null)
+                if (!Array.isArray(entry[field.iname]) || items.length !== entry[field.iname].length) {
+                    entry[field.iname] = items
+                    changed++
+                }
+                for (const item of items)
+                    changed += sanitizeEntry(item, field.list)
+            }
+        }
+        for (const attr of Object.keys(entry)) {
+            if (attr === "id")
+                continue
+            if (!fields.find((field) => field.iname === attr)) {
+                delete entry[attr]
+                changed++
+            }
+        }
+        return changed
+    }
     const sanitizeConfig = (browser) => {
         let changed = 0
         /*  migrate removed "video" input type to "url" for backward compatibility  */
@@ -411,20 +558,30 @@ electron.app.on("ready", async () => {
             browser.it = "url"
             changed++
         }
-        for (const field of fields) {
-            if (browser[field.iname] === undefined) {
-                browser[field.iname] = field.def
-                changed++
+        /*  migrate the former single FFmpeg sink (m, R, F, M) into the list of FFmpeg sinks  */
+        if (browser.X === undefined && [ "m", "R", "F", "M" ].some((attr) => browser[attr] !== undefined)) {
+            const sink = {
+                e: Boolean(browser.m ?? false),
+                t: "",
+                R: String(browser.R ?? "vbr"),
+                F: String(browser.F ?? "matroska"),
+                M: String(browser.M ?? "")
             }
+            browser.X = (sink.e || sink.M !== "" ? [ sink ] : [])
+            changed++
         }
-        for (const attr of Object.keys(browser)) {
-            if (attr === "id")
-                continue
-            if (!fields.find((field) => field.iname === attr)) {
-                delete browser[attr]
+        /*  migrate the former output size and scaling shared by all FFmpeg sinks (mw, mh, ms, mq)
+            into the FFmpeg sinks, while the shared one is kept for the SRT sink only  */
+        for (const sink of browser.X ?? []) {
+            if (sink.W === undefined && browser.mw !== undefined) {
+                sink.W = String(browser.mw)
+                sink.H = String(browser.mh ?? "0")
+                sink.S = String(browser.ms ?? "fit")
+                sink.Q = String(browser.mq ?? "good")
                 changed++
             }
         }
+        changed += sanitizeEntry(browser, fields)
         return changed
     }
     let configVersion = 0
@@ -459,77 +616,183 @@ electron.app.on("ready", async () => {
         sanitizeConfig(browser)
         return browser
     })
-    const exportConfig = async (file) => {
-        let browsers = loadConfigs()
-        browsers = browsers.map((browser) => {
-            delete browser.id
-            return browser
+
+    /*  blank the fields carrying credentials (passphrases, webhook URLs and
+        FFmpeg output arguments with stream keys) for non-admin API clients  */
+    const redactEntry = (entry, fields) => {
+        const result = { ...entry }
+        for (const field of fields) {
+            if (field.secret && typeof result[field.iname] === "string")
+                result[field.iname] = ""
+            else if (field.itype === "list" && Array.isArray(result[field.iname]))
+                result[field.iname] = result[field.iname].map((item) => redactEntry(item, field.list))
+        }
+        return result
+    }
+    const redactConfig = (browser) => redactEntry(browser, fields)
+    const dumpValue = (value) => {
+        value = jsYAML.dump(value, {
+            forceQuotes: true,
+            quotingType: "\"",
+            condenseFlow: true,
+            lineWidth: -1,
+            indent: 0
         })
+        return value.replace(/\r?\n$/, "")
+    }
+    const dumpConfig = (browsers, header, withTokens = false) => {
         let yaml =
            "%YAML 1.2\n" +
            "##\n" +
-           "##  WebRetriever Configuration\n" +
-           `##  Version: WebRetriever ${version.vingester}\n` +
-           `##  Date:    ${moment().format("YYYY-MM-DD HH:mm")}\n` +
+           header.map((line) => line === "" ? "##\n" : `##  ${line}\n`).join("") +
            "##\n" +
            "\n" +
            "---\n" +
+           "\n" +
+           `Browsers:${browsers.length === 0 ? " []" : ""}\n` +
            "\n"
         for (const browser of browsers) {
             let line = 1
             for (const field of fields) {
                 yaml += (line++ === 1 ? "-   " : "    ")
-                let value = browser[field.iname]
-                if (field.etype === "boolean" && typeof value !== "boolean")
-                    value = Boolean(value)
-                else if (field.etype === "number" && typeof value !== "number")
-                    value = Number(value)
-                else if (field.etype === "string" && typeof value !== "string")
-                    value = String(value)
-                value = jsYAML.dump(value, {
-                    forceQuotes: true,
-                    quotingType: "\"",
-                    condenseFlow: true,
-                    lineWidth: -1,
-                    indent: 0
-                })
-                value = value.replace(/\r?\n$/, "")
-                yaml += `${(field.ename + ":").padEnd(30, " ")} ${value}\n`
+                if (field.etype === "list") {
+                    /*  dump list of entries as a nested list  */
+                    const items = browser[field.iname] ?? []
+                    yaml += `${field.ename}:${items.length === 0 ? " []" : ""}\n`
+                    for (const item of items) {
+                        let line2 = 1
+                        for (const field2 of field.list) {
+                            yaml += (line2++ === 1 ? "    -   " : "        ")
+                            const value = convertValue(item[field2.iname], field2.etype)
+                            yaml += `${(field2.ename + ":").padEnd(26, " ")} ${dumpValue(value)}\n`
+                        }
+                    }
+                    continue
+                }
+                const value = convertValue(browser[field.iname], field.etype)
+                yaml += `${(field.ename + ":").padEnd(30, " ")} ${dumpValue(value)}\n`
             }
             yaml += "\n"
         }
+        /*  the access tokens are secrets in plaintext, so they are only dumped on explicit request
+            (without them, an import keeps the access tokens currently configured)  */
+        const tokens = store.get("auth.tokens", [])
+        yaml +=
+            "Authentication:\n" +
+            `    ${"Enabled:".padEnd(30, " ")} ${dumpValue(store.get("auth.enabled", false))}\n`
+        if (withTokens) {
+            yaml += `    Tokens:${tokens.length === 0 ? " []" : ""}\n`
+            for (const token of tokens) {
+                yaml +=
+                    `    -   ${"Name:".padEnd(26, " ")} ${dumpValue(token.name)}\n` +
+                    `        ${"Token:".padEnd(26, " ")} ${dumpValue(token.token)}\n` +
+                    `        ${"Role:".padEnd(26, " ")} ${dumpValue(token.role)}\n`
+            }
+        }
+
+        /*  scheduler rules reference browsers by their title, as the ids are not exported  */
+        const rules  = store.get("schedule", [])
+        const titles = {}
+        for (const browser of loadConfigs())
+            titles[browser.id] = browser.t
+        yaml += `\nSchedule:${rules.length === 0 ? " []" : ""}\n`
+        for (const rule of rules) {
+            yaml +=
+                `-   ${"Browser:".padEnd(30, " ")} ${dumpValue(titles[rule.browser] ?? "")}\n` +
+                `    ${"When:".padEnd(30, " ")} ${dumpValue(rule.when)}\n` +
+                `    ${"Action:".padEnd(30, " ")} ${dumpValue(rule.action)}\n` +
+                `    ${"Value:".padEnd(30, " ")} ${dumpValue(rule.value)}\n` +
+                `    ${"Enabled:".padEnd(30, " ")} ${dumpValue(rule.enabled)}\n`
+        }
+        return yaml
+    }
+    const exportConfig = async (file, withTokens = false) => {
+        let browsers = loadConfigs()
+        browsers = browsers.map((browser) => {
+            delete browser.id
+            return browser
+        })
+        const yaml = dumpConfig(browsers, [
+            "WebRetriever Configuration",
+            `Version: WebRetriever ${version.vingester}`,
+            `Date:    ${moment().format("YYYY-MM-DD HH:mm")}`
+        ], withTokens)
         await fs.promises.writeFile(file, yaml, { encoding: "utf8" })
-        log.info(`exported browsers configuration (${browsers.length} browser entries)`)
+        log.info(`exported browsers configuration (${browsers.length} browser entries` +
+            `${withTokens ? ", including access tokens" : ""})`)
+    }
+    const importEntry = (entry, fields) => {
+        for (const field of fields) {
+            let value = entry[field.ename]
+            if (value === undefined)
+                continue
+            if (field.itype === "list") {
+                value = (Array.isArray(value) ? value : [])
+                    .filter((item) => typeof item === "object" && item !== null)
+                for (const item of value)
+                    importEntry(item, field.list)
+            }
+            else
+                value = convertValue(value, field.itype)
+            delete entry[field.ename]
+            entry[field.iname] = value
+        }
     }
     const importConfig = async (file) => {
         const yaml = await fs.promises.readFile(file, { encoding: "utf8" })
         let browsers = null
+        let authentication = null
+        let schedule = null
         try {
-            browsers = jsYAML.load(yaml)
+            const doc = jsYAML.load(yaml)
+            /*  accept both the legacy format (top-level list of browsers)
+                and the current format (mapping with "Browsers" and "Authentication")  */
+            if (doc === null || doc === undefined || Array.isArray(doc))
+                browsers = doc
+            else if (typeof doc === "object") {
+                browsers       = doc.Browsers ?? null
+                authentication = doc.Authentication ?? null
+                schedule       = doc.Schedule ?? null
+            }
+            else
+                throw new Error("invalid configuration structure")
         }
         catch (ex) {
             log.info(`importing browsers configuration failed: ${ex}`)
             return false
         }
-        if (browsers === null)
+        if (browsers === null || browsers === undefined)
             browsers = []
         for (const browser of browsers) {
             if (browser.id === undefined)
                 browser.id = new UUID(1).fold(2).map((num) =>
                     num.toString(16).toUpperCase().padStart(2, "0")).join("")
-            for (const field of fields) {
-                let value = browser[field.ename]
-                if (value === undefined)
-                    continue
-                if (field.itype === "boolean" && typeof value !== "boolean")
-                    value = Boolean(value)
-                else if (field.itype === "number" && typeof value !== "number")
-                    value = Number(value)
-                else if (field.itype === "string" && typeof value !== "string")
-                    value = String(value)
-                delete browser[field.ename]
-                browser[field.iname] = value
+            /*  map the fields of the former single FFmpeg sink onto their legacy short names
+                (Output2SinkFFmpegEnabled/m, Output2SinkFFmpegMode/R, Output2SinkFFmpegFormat/F,
+                 Output2SinkFFmpegOptions/M), which are migrated into a list of FFmpeg sinks  */
+            const legacySink = {
+                Output2SinkFFmpegEnabled: "m", Output2SinkFFmpegMode:    "R",
+                Output2SinkFFmpegFormat:  "F", Output2SinkFFmpegOptions: "M"
+            }
+            for (const ename of Object.keys(legacySink)) {
+                if (browser[ename] !== undefined) {
+                    browser[legacySink[ename]] = browser[ename]
+                    delete browser[ename]
+                }
+            }
+            /*  map the fields of the former output size and scaling shared by all FFmpeg sinks
+                onto their short names, which are migrated into the FFmpeg sinks (and kept for SRT)  */
+            const legacySize = {
+                Output2SinkFFmpegWidth:   "mw", Output2SinkFFmpegHeight:  "mh",
+                Output2SinkFFmpegScaling: "ms", Output2SinkFFmpegQuality: "mq"
+            }
+            for (const ename of Object.keys(legacySize)) {
+                if (browser[ename] !== undefined) {
+                    browser[legacySize[ename]] = browser[ename]
+                    delete browser[ename]
+                }
             }
+            importEntry(browser, fields)
             /*  silently discard legacy Output1 fields from old config files
                 (Output1Enabled/D, Output1VideoPositionX/x, Output1VideoPositionY/y,
                  Output1VideoDisplay/d, Output1VideoPinTop/p, Output1AudioDevice/A)  */
@@ -544,6 +807,50 @@ electron.app.on("ready", async () => {
         }
         saveConfigs(browsers)
         log.info(`imported browsers configuration (${browsers.length} browser entries)`)
+
+        /*  take over authentication settings (legacy files leave them untouched,
+            and files exported without access tokens keep the current ones)  */
+        const withTokens = (authentication !== null && typeof authentication === "object"
+            && Array.isArray(authentication.Tokens))
+        if (authentication !== null && typeof authentication === "object") {
+            const tokens = (withTokens ? authentication.Tokens.map((token) => ({
+                name:  String(token.Name  ?? ""),
+                token: String(token.Token ?? ""),
+                role:  String(token.Role  ?? "viewer")
+            })) : auth.tokens)
+            auth.configure({ enabled: Boolean(authentication.Enabled), tokens })
+            store.set("auth.enabled", auth.enabled)
+            store.set("auth.tokens",  auth.tokens)
+            if (control && !control.isDestroyed())
+                control.webContents.send("auth", { enabled: auth.enabled, tokens: auth.tokens })
+            log.info(`imported authentication configuration (${auth.tokens.length} token entries)`)
+        }
+
+        /*  take over scheduler rules (legacy files leave them untouched)  */
+        if (Array.isArray(schedule)) {
+            const rules = []
+            for (const rule of schedule) {
+                const browser = browsers.find((browser) => browser.t === String(rule.Browser ?? ""))
+                if (browser === undefined) {
+                    log.warn(`importing schedule rule "${rule.When}": unknown browser "${rule.Browser}" (ignored)`)
+                    continue
+                }
+                rules.push({
+                    enabled: rule.Enabled !== false,
+                    browser: browser.id,
+                    when:    String(rule.When   ?? ""),
+                    action:  String(rule.Action ?? ""),
+                    value:   String(rule.Value  ?? "")
+                })
+            }
+            try {
+                configureSchedule(rules)
+            }
+            catch (err) {
+                log.warn(`importing schedule failed: ${err.message}`)
+            }
+        }
+        return { tokens: withTokens }
     }
     const autosaveConfig = async (file) => {
         let browsers = loadConfigs()
@@ -557,42 +864,14 @@ electron.app.on("ready", async () => {
         const apiEnabled   = store.get("api.enabled")   ?? false
         const apiAddr      = store.get("api.addr")      ?? "127.0.0.1"
         const apiPort      = store.get("api.port")      ?? "7211"
-        let yaml =
-           "%YAML 1.2\n" +
-           "##\n" +
-           "##  WebRetriever Autosave Configuration\n" +
-           `##  Version: WebRetriever ${version.vingester}\n` +
-           `##  Date:    ${moment().format("YYYY-MM-DD HH:mm")}\n` +
-           "##\n" +
-           `##  WebUI:  enabled=${webuiEnabled}  addr=${webuiAddr}  port=${webuiPort}\n` +
-           `##  API:    enabled=${apiEnabled}    addr=${apiAddr}    port=${apiPort}\n` +
-           "##\n" +
-           "\n" +
-           "---\n" +
-           "\n"
-        for (const browser of browsers) {
-            let line = 1
-            for (const field of fields) {
-                yaml += (line++ === 1 ? "-   " : "    ")
-                let value = browser[field.iname]
-                if (field.etype === "boolean" && typeof value !== "boolean")
-                    value = Boolean(value)
-                else if (field.etype === "number" && typeof value !== "number")
-                    value = Number(value)
-                else if (field.etype === "string" && typeof value !== "string")
-                    value = String(value)
-                value = jsYAML.dump(value, {
-                    forceQuotes: true,
-                    quotingType: "\"",
-                    condenseFlow: true,
-                    lineWidth: -1,
-                    indent: 0
-                })
-                value = value.replace(/\r?\n$/, "")
-                yaml += `${(field.ename + ":").padEnd(30, " ")} ${value}\n`
-            }
-            yaml += "\n"
-        }
+        const yaml = dumpConfig(browsers, [
+            "WebRetriever Autosave Configuration",
+            `Version: WebRetriever ${version.vingester}`,
+            `Date:    ${moment().format("YYYY-MM-DD HH:mm")}`,
+            "",
+            `WebUI:  enabled=${webuiEnabled}  addr=${webuiAddr}  port=${webuiPort}`,
+            `API:    enabled=${apiEnabled}    addr=${apiAddr}    port=${apiPort}`
+        ])
         await fs.promises.writeFile(file, yaml, { encoding: "utf8" })
         log.info(`autosaved configuration (${browsers.length} browser entries) to: ${file}`)
     }
@@ -618,7 +897,21 @@ electron.app.on("ready", async () => {
             if (result.canceled)
                 return
             if (result.filePath) {
-                await exportConfig(result.filePath)
+                /*  include the plaintext access tokens only on explicit request  */
+                let withTokens = false
+                if (store.get("auth.tokens", []).length > 0) {
+                    const choice = await electron.dialog.showMessageBox(control, {
+                        message:   "Include the access tokens of the authentication in the export?",
+                        detail:    "The tokens are written in plaintext. Without them, importing " +
+                            "the file keeps the access tokens currently configured.",
+                        type:      "question",
+                        buttons:   [ "Without Tokens", "Include Tokens" ],
+                        defaultId: 0,
+                        cancelId:  0
+                    })
+                    withTokens = (choice.response === 1)
+                }
+                await exportConfig(result.filePath, withTokens)
                 return true
             }
             return false
@@ -682,13 +975,20 @@ electron.app.on("ready", async () => {
     })
 
     /*  handle media file selection (images/videos, multi-select)  */
-    electron.ipcMain.handle("select-media-files", async (ev, multiSelect) => {
+    electron.ipcMain.handle("select-media-files", async (ev, multiSelect, kind = "media") => {
         const imageExts = [ "png", "jpg", "jpeg", "gif", "webp", "bmp", "svg" ]
         const videoExts = [ "mp4", "webm", "ogg", "mov", "mkv", "avi" ]
         return electron.dialog.showOpenDialog({
-            title:       "Choose Media File(s)",
-            properties:  multiSelect ? [ "openFile", "multiSelections" ] : [ "openFile" ],
-            filters:     [
+            title:       kind === "template" ? "Choose Graphics Template" :
+                kind === "ticker" ? "Choose Ticker File" :
+                    kind === "folder" ? "Choose Slideshow Folder" : "Choose Media File(s)",
+            properties:  kind === "folder" ? [ "openDirectory" ] :
+                multiSelect ? [ "openFile", "multiSelections" ] : [ "openFile" ],
+            filters:     kind === "template" ? [
+                { name: "HTML Templates", extensions: [ "html", "htm" ] }
+            ] : kind === "ticker" ? [
+                { name: "Ticker Items", extensions: [ "txt", "json" ] }
+            ] : [
                 { name: "Image Files",  extensions: imageExts },
                 { name: "Video Files",  extensions: videoExts },
                 { name: "All Media",    extensions: [ ...imageExts, ...videoExts ] }
@@ -704,6 +1004,18 @@ electron.app.on("ready", async () => {
         })
     })
 
+    /*  handle NDI source discovery (for the NDI input type)  */
+    const ndiSources = async (timeout = 2000) => {
+        timeout = Math.max(100, Math.min(10000, parseInt(timeout) || 2000))
+        return Receiver.find(timeout)
+    }
+    electron.ipcMain.handle("ndi-sources", async (ev) => {
+        return ndiSources().catch((err) => {
+            log.warn(`failed to discover NDI sources: ${err.message}`)
+            return []
+        })
+    })
+
     /*  handle display information determination  */
     let displays = []
     const displaysDetermine = () => {
@@ -753,22 +1065,57 @@ electron.app.on("ready", async () => {
     /*  provide IPC hooks for browsers control  */
     log.info("provide IPC hooks for browser control")
     const browsers = {}
+
+    /*  resolve the source instance of a compositor layer (by id or title)  */
+    const compositorSource = (source) => {
+        if (browsers[source] !== undefined)
+            return browsers[source]
+        const id = Object.keys(browsers).find((id) => browsers[id].cfg.t === source)
+        return id !== undefined ? browsers[id] : undefined
+    }
+
+    /*  central hub for fanning out live events (e.g. to Web UI WebSocket clients)  */
+    const events = new EventEmitter()
+    events.setMaxListeners(0)
+    const publish = (type, id, data = {}) => {
+        events.emit("event", { type, id, time: Date.now(), data })
+    }
+    const notify = (type, id) => {
+        control.webContents.send(type, id)
+        publish(type, id)
+    }
+
     const controlBrowser = async (action, id, cfg) => {
         if (action === "prune") {
             for (const id of Object.keys(browsers)) {
                 if (browsers[id].running())
                     browsers[id].stop()
+                browsers[id].removeAllListeners()
+                cancelCrashRestart(id)
                 delete browsers[id]
             }
         }
         else if (action === "add") {
             /*  add browser configuration  */
-            browsers[id] = new Browser(log, id, cfg, control, FFmpeg.binary, mediaDir)
+            browsers[id] = new Browser(log, id, cfg, control, FFmpeg.binary, mediaDir, compositorSource)
+            browsers[id].on("event", (type, data) => publish(type, id, data))
+            browsers[id].on("crash", (reason, delay) => {
+                crashRestart(id, reason, delay).catch((err) => {
+                    log.error(`crash: restart failed: ${err.message}`)
+                })
+            })
+            browsers[id].on("watchdog-action", (action, reason) => {
+                watchdogAction(id, action, reason).catch((err) => {
+                    log.error(`watchdog: action "${action}" failed: ${err.message}`)
+                })
+            })
+            publish("browser-added", id)
             syslog.info("instance", `added: "${cfg.t}" (id=${id})`)
         }
         else if (action === "mod") {
             /*  modify browser configuration  */
             browsers[id].reconfigure(cfg)
+            publish("browser-modified", id)
             syslog.info("instance", `modified: "${cfg.t}" (id=${id})`)
         }
         else if (action === "del") {
@@ -776,7 +1123,11 @@ electron.app.on("ready", async () => {
             const title = browsers[id]?.cfg?.t || id
             if (browsers[id] !== undefined && browsers[id].running())
                 await controlBrowser("stop", id)
+            if (browsers[id] !== undefined)
+                browsers[id].removeAllListeners()
+            cancelCrashRestart(id)
             delete browsers[id]
+            publish("browser-deleted", id)
             syslog.info("instance", `deleted: "${title}" (id=${id})`)
         }
         else if (action === "start-all") {
@@ -812,14 +1163,15 @@ electron.app.on("ready", async () => {
                 throw new Error("browser already running")
             if (!browser.valid())
                 throw new Error("browser configuration not valid")
-            control.webContents.send("browser-start", id)
+            cancelCrashRestart(id)
+            notify("browser-start", id)
             const success = await browser.start()
             if (success) {
-                control.webContents.send("browser-started", id)
+                notify("browser-started", id)
                 syslog.info("instance", `started: "${browser.cfg.t}" (id=${id})`)
             }
             else {
-                control.webContents.send("browser-failed", id)
+                notify("browser-failed", id)
                 syslog.error("instance", `start failed: "${browser.cfg.t}" (id=${id})`)
                 browser.stop()
             }
@@ -831,9 +1183,9 @@ electron.app.on("ready", async () => {
                 throw new Error("invalid browser id")
             if (!browser.running())
                 throw new Error("browser still not running")
-            control.webContents.send("browser-reload", id)
+            notify("browser-reload", id)
             browser.reload()
-            control.webContents.send("browser-reloaded", id)
+            notify("browser-reloaded", id)
             syslog.info("instance", `reloaded: "${browser.cfg.t}" (id=${id})`)
         }
         else if (action === "stop") {
@@ -841,11 +1193,12 @@ electron.app.on("ready", async () => {
             const browser = browsers[id]
             if (browser === undefined)
                 throw new Error("invalid browser id")
+            cancelCrashRestart(id)
             if (!browser.running())
                 throw new Error("browser still not running")
-            control.webContents.send("browser-stop", id)
+            notify("browser-stop", id)
             await browser.stop()
-            control.webContents.send("browser-stopped", id)
+            notify("browser-stopped", id)
             syslog.info("instance", `stopped: "${browser.cfg.t}" (id=${id})`)
         }
         else if (action === "clear") {
@@ -855,15 +1208,434 @@ electron.app.on("ready", async () => {
                 throw new Error("invalid browser id")
             if (browser.running())
                 throw new Error("browser still running")
-            control.webContents.send("browser-clear", id)
+            notify("browser-clear", id)
             await browser.clear()
-            control.webContents.send("browser-cleared", id)
+            notify("browser-cleared", id)
         }
     }
     electron.ipcMain.handle("control", (ev, action, id, browser) => {
         return controlBrowser(action, id, browser)
     })
 
+    /*  restart a browser after a renderer crash (with the backoff delay determined
+        by the browser, or not at all if its restart budget is exhausted)  */
+    const crashTimers = {}
+    const cancelCrashRestart = (id) => {
+        if (crashTimers[id] !== undefined) {
+            clearTimeout(crashTimers[id])
+            delete crashTimers[id]
+        }
+    }
+    const crashRestart = async (id, reason, delay) => {
+        const browser = browsers[id]
+        if (browser === undefined)
+            return
+        const info = browser.crashInfo()
+        syslog.error("crash", `"${browser.cfg.t}" (id=${id}): ${reason} (crash #${info.count}), ` +
+            (delay >= 0 ?
+                `restarting in ${delay / 1000}s (restart ${info.restarts} of ${browser.cfg.cb} per hour)` :
+                `restart budget of ${browser.cfg.cb} per hour exhausted, giving up`))
+        if (browser.running())
+            await controlBrowser("stop", id)
+        if (delay < 0) {
+            control.webContents.send("message", `browser "${browser.cfg.t}": renderer crashed ` +
+                `(${reason}) and restart budget of ${browser.cfg.cb} per hour is exhausted`)
+            return
+        }
+        cancelCrashRestart(id)
+        crashTimers[id] = setTimeout(() => {
+            delete crashTimers[id]
+            if (browsers[id] === undefined || browsers[id].running())
+                return
+            controlBrowser("start", id).catch((err) => {
+                log.error(`crash: restart failed: ${err.message}`)
+            })
+        }, delay)
+    }
+
+    /*  perform an escalation action of a browser watchdog  */
+    const watchdogAction = async (id, action, reason) => {
+        const browser = browsers[id]
+        if (browser === undefined || !browser.running())
+            return
+        const text = `"${browser.cfg.t}" (id=${id}): ${reason} detected, action: ${action}`
+        log.warn(`watchdog: ${text}`)
+        publish("watchdog-action", id, { action, reason })
+        if (action === "reload")
+            await controlBrowser("reload", id)
+        else if (action === "restart") {
+            await controlBrowser("stop", id)
+            await controlBrowser("start", id)
+        }
+        else if (action === "alert")
+            syslog.error("watchdog", text)
+        else if (action === "webhook") {
+            if (browser.cfg.wu === "")
+                throw new Error("no webhook URL configured")
+            await got.post(browser.cfg.wu, {
+                json: {
+                    event:  "watchdog",
+                    id,
+                    title:  browser.cfg.t,
+                    reason,
+                    level:  browser.watchdog.step,
+                    time:   new Date().toISOString()
+                },
+                timeout: { request: 10 * 1000 },
+                retry:   { limit: 0 }
+            })
+        }
+    }
+
+    /*  persist in-memory browsers to store and notify Control UI  */
+    const debouncedAutosave = debounce(10 * 1000, performAutosave)
+    const persistBrowsers = () => {
+        const cfgArray = Object.keys(browsers).map((bid) => ({ id: bid, ...browsers[bid].cfg }))
+        saveConfigs(cfgArray)
+        if (control && !control.isDestroyed())
+            control.webContents.send("browsers-refresh")
+        debouncedAutosave()
+    }
+
+    /*  switch the input of a browser: a running browser navigates its content
+        to the new URL or media files while its outputs keep running, a stopped
+        browser just takes over the new configuration  */
+    const navigateBrowser = async (id, target, hold = "frame", slate = "") => {
+        const browser = browsers[id]
+        if (browser === undefined)
+            throw new Error("invalid browser id")
+        if (![ "frame", "slate", "none" ].includes(hold))
+            throw new Error(`invalid hold mode "${hold}"`)
+        const cfg = { ...browser.cfg }
+        for (const key of [ "it", "u", "if" ])
+            if (target[key] !== undefined)
+                cfg[key] = String(target[key])
+        if (![ "url", "stream", "ndi", "image", "slideshow", "template", "clock", "ticker", "compositor" ].includes(cfg.it))
+            throw new Error(`invalid input type "${cfg.it}"`)
+        if ([ "url", "stream", "ndi" ].includes(cfg.it) && cfg.u === "")
+            throw new Error(`input type "${cfg.it}" requires an URL`)
+        if (cfg.it === "compositor" && cfg.lo.trim() === "")
+            throw new Error("input type \"compositor\" requires a layout")
+        if (![ "url", "stream", "ndi", "clock", "ticker", "compositor" ].includes(cfg.it) && cfg.if === "")
+            throw new Error(`input type "${cfg.it}" requires files`)
+        sanitizeConfig(cfg)
+        if (browser.running()) {
+            notify("browser-navigate", id)
+            await browser.navigate({ it: cfg.it, u: cfg.u, if: cfg.if }, hold, slate)
+            notify("browser-navigated", id)
+            syslog.info("instance", `navigated: "${browser.cfg.t}" (id=${id}) to ` +
+                (cfg.it === "url" ? cfg.u : [ "stream", "ndi" ].includes(cfg.it) ? `${cfg.it} ${cfg.u}` :
+                    [ "clock", "ticker", "compositor" ].includes(cfg.it) ? cfg.it :
+                        `${cfg.it} ${cfg.if.split("\n").join(", ")}`))
+        }
+        else
+            await controlBrowser("mod", id, cfg)
+        persistBrowsers()
+    }
+
+    /*  control the graphics template of a running instance  */
+    const templateCommand = (id, command, data = null) => {
+        const browser = browsers[id]
+        if (browser === undefined)
+            throw new Error("invalid browser id")
+        if (!browser.running())
+            throw new Error("browser still not running")
+        const state = browser.template(command, data)
+        log.info(`template: "${browser.cfg.t}" (id=${id}): ${command}`)
+        return state
+    }
+
+    /*  control the timer of the clock of a running instance  */
+    const clockCommand = (id, command, value = null) => {
+        const browser = browsers[id]
+        if (browser === undefined)
+            throw new Error("invalid browser id")
+        if (!browser.running())
+            throw new Error("browser still not running")
+        const state = browser.clock(command, value)
+        log.info(`clock: "${browser.cfg.t}" (id=${id}): ${command}${value !== null ? ` ${value}` : ""}`)
+        return state
+    }
+
+    /*  step through, jump in or pause the slideshow of a running instance  */
+    const slideshowCommand = async (id, command, index = null) => {
+        const browser = browsers[id]
+        if (browser === undefined)
+            throw new Error("invalid browser id")
+        if (!browser.running())
+            throw new Error("browser still not running")
+        const state = await browser.slideshow(command, index)
+        log.info(`slideshow: "${browser.cfg.t}" (id=${id}): ${command}${index !== null ? ` ${index}` : ""}`)
+        return state
+    }
+
+    /*  start, stop, pause, resume or split the recordings of a running instance  */
+    const recordingCommand = async (id, command, sink = null) => {
+        const browser = browsers[id]
+        if (browser === undefined)
+            throw new Error("invalid browser id")
+        if (!browser.running())
+            throw new Error("browser still not running")
+        const recordings = await browser.recording(command, sink)
+        log.info(`recording: "${browser.cfg.t}" (id=${id}): ${command}${sink !== null ? ` ${sink}` : ""}`)
+        return { recordings }
+    }
+    electron.ipcMain.handle("recording", async (ev, id, command, sink) => {
+        return recordingCommand(id, command, sink).catch((err) => {
+            log.warn(`recording: ${command} failed: ${err.message}`)
+            control.webContents.send("message", `recording: ${command} failed: ${err.message}`)
+            return null
+        })
+    })
+
+    /*  replace, push or clear the items of the ticker of a running instance  */
+    const tickerCommand = (id, command, items = null) => {
+        const browser = browsers[id]
+        if (browser === undefined)
+            throw new Error("invalid browser id")
+        if (!browser.running())
+            throw new Error("browser still not running")
+        const state = browser.ticker(command, items)
+        log.info(`ticker: "${browser.cfg.t}" (id=${id}): ${command} (${state.items.length} items)`)
+        return state
+    }
+
+    /*  perform an action of the time-based scheduler  */
+    const scheduleAction = async (rule) => {
+        const id = rule.browser
+        const browser = browsers[id]
+        if (browser === undefined) {
+            log.warn(`scheduler: rule ${rule.id}: instance ${id} no longer exists`)
+            return
+        }
+        const text = `"${browser.cfg.t}" (id=${id}): ${rule.action}` +
+            (rule.value !== "" ? ` "${rule.value.replace(/\r?\n/g, ", ")}"` : "")
+        log.info(`scheduler: ${text}`)
+        syslog.info("scheduler", text)
+        publish("schedule-action", id, { rule: rule.id, action: rule.action, value: rule.value })
+        if (rule.action === "start") {
+            if (!browser.running())
+                await controlBrowser("start", id)
+        }
+        else if (rule.action === "stop") {
+            if (browser.running())
+                await controlBrowser("stop", id)
+        }
+        else if (rule.action === "reload") {
+            if (browser.running())
+                await controlBrowser("reload", id)
+        }
+        else if (rule.action === "url" || rule.action === "files") {
+            /*  switch the input (without restarting the browser if it is running)  */
+            const cfg = { ...browser.cfg }
+            if (rule.action === "url") {
+                cfg.it = "url"
+                cfg.u  = rule.value.trim()
+            }
+            else {
+                if ([ "url", "stream", "ndi", "compositor" ].includes(cfg.it))
+                    cfg.it = "slideshow"
+                cfg.if = rule.value.split(/\r?\n|;/)
+                    .map((file) => file.trim())
+                    .filter((file) => file !== "")
+                    .join("\n")
+            }
+            await navigateBrowser(id, { it: cfg.it, u: cfg.u, if: cfg.if })
+        }
+    }
+
+    /*  take over a new set of scheduler rules  */
+    const configureSchedule = (rules) => {
+        if (!Array.isArray(rules))
+            throw new Error("schedule rules have to be an array")
+        rules = rules.map((rule) => ({
+            id:      String(rule.id ?? new UUID(1).fold(2).map((num) =>
+                num.toString(16).toUpperCase().padStart(2, "0")).join("")),
+            enabled: rule.enabled !== false,
+            browser: String(rule.browser ?? ""),
+            when:    String(rule.when ?? "").trim(),
+            action:  String(rule.action ?? ""),
+            value:   String(rule.value ?? "")
+        }))
+        for (const rule of rules) {
+            const error = scheduler.validate(rule)
+            if (error !== null)
+                throw new Error(`schedule rule "${rule.when}": ${error}`)
+        }
+        scheduler.configure(rules)
+        store.set("schedule", rules)
+        if (control && !control.isDestroyed())
+            control.webContents.send("schedule", rules)
+        publish("schedule", null, { rules: rules.length })
+        log.info(`scheduler configured (${rules.length} rules)`)
+        return rules
+    }
+    scheduler.on("action", (rule) => {
+        scheduleAction(rule).catch((err) => {
+            log.error(`scheduler: action "${rule.action}" failed: ${err.message}`)
+        })
+    })
+
+    /*  render the process and per-instance metrics in OpenMetrics text format  */
+    let cpuUsage = 0
+    const renderMetrics = () => {
+        const metrics = new Metrics("webretriever")
+        metrics.family("build", "info", "version information")
+            .sample("build", {
+                version:  version.vingester,
+                electron: version.electron,
+                chromium: version.chromium,
+                node:     version.node,
+                ffmpeg:   version.ffmpeg
+            }, 1)
+
+        /*  process metrics  */
+        const appMetrics = electron.app.getAppMetrics()
+        const memory = {}
+        for (const metric of appMetrics)
+            memory[metric.type] = (memory[metric.type] ?? 0) + metric.memory.workingSetSize * 1024
+        metrics.family("process_start_time_seconds", "gauge", "start time of the application", "seconds")
+            .sample("process_start_time_seconds", {}, Math.round((Date.now() - process.uptime() * 1000) / 1000))
+        metrics.family("process_cpu_usage_percent", "gauge", "CPU usage of all processes (percent of one core)")
+            .sample("process_cpu_usage_percent", {}, Math.round(cpuUsage * 100) / 100)
+        metrics.family("process_memory_bytes", "gauge", "working set size of all processes per process type", "bytes")
+        for (const type of Object.keys(memory))
+            metrics.sample("process_memory_bytes", { type }, memory[type])
+
+        /*  per-instance metrics  */
+        metrics
+            .family("instance_running",             "gauge",    "whether the instance is running")
+            .family("instance_tally",               "stateset", "NDI tally state")
+            .family("instance_ndi_connections",     "gauge",    "number of NDI receivers connected")
+            .family("instance_content_fps",         "gauge",    "frame rate of the web content rendering")
+            .family("instance_packets_per_second",  "gauge",    "sent video/audio frames per second")
+            .family("instance_burst_seconds",       "gauge",    "processing time of video/audio frames", "seconds")
+            .family("instance_heap_used_bytes",     "gauge",    "JavaScript heap used by the web content", "bytes")
+            .family("instance_memory_bytes",        "gauge",    "working set size of the renderer processes", "bytes")
+            .family("instance_cpu_usage_percent",   "gauge",    "CPU usage of the renderer processes")
+            .family("instance_ffmpeg_up",           "gauge",    "whether the FFmpeg process of a sink is running")
+            .family("instance_ffmpeg_exits",        "counter",  "exits of the FFmpeg process of a sink while running")
+            .family("instance_srt_bitrate_kbps",    "gauge",    "bitrate of the SRT sink")
+            .family("instance_recording_seconds",   "gauge",    "elapsed time of the recording of a sink", "seconds")
+            .family("instance_recording_bytes",     "gauge",    "size of the recording files of a sink", "bytes")
+            .family("instance_stream_state",        "stateset", "connection state of the stream input")
+            .family("instance_stream_exits",        "counter",  "exits of the FFmpeg process of the stream input")
+            .family("instance_receiver_state",      "stateset", "reception state of the NDI input")
+            .family("instance_starts",              "counter",  "starts of the instance")
+            .family("instance_reloads",             "counter",  "reloads of the instance")
+            .family("instance_crashes",             "counter",  "crashed or hanging renderers of the instance")
+            .family("instance_crash_restarts",      "counter",  "automatic restarts after renderer crashes")
+            .family("instance_watchdog_actions",    "counter",  "escalation actions of the watchdog")
+        const byPid = {}
+        for (const metric of appMetrics)
+            byPid[metric.pid] = metric
+        for (const id of Object.keys(browsers)) {
+            const browser = browsers[id]
+            const labels  = { id, title: browser.cfg.t }
+            const live    = browser.live
+            const running = browser.running()
+            metrics.sample("instance_running", labels, running)
+            metrics.sample("instance_starts",         labels, browser.counters.starts)
+            metrics.sample("instance_reloads",        labels, browser.counters.reloads)
+            metrics.sample("instance_crashes",        labels, browser.crash.count)
+            metrics.sample("instance_crash_restarts", labels, browser.counters.restarts)
+            metrics.sample("instance_watchdog_actions", labels, browser.counters.watchdog)
+            if (!running)
+                continue
+            if (browser.cfg.N) {
+                metrics.stateset("instance_tally", labels,
+                    [ "unconnected", "connected", "preview", "program" ], live.tally)
+                metrics.sample("instance_ndi_connections", labels, live.connections)
+            }
+            if (live.stat !== null) {
+                metrics.sample("instance_content_fps",     labels, live.stat.fps)
+                metrics.sample("instance_heap_used_bytes", labels, Math.round(live.stat.memUsed * 1024 * 1024))
+            }
+            for (const type of Object.keys(live.rate))
+                metrics.sample("instance_packets_per_second", { ...labels, type }, live.rate[type])
+            for (const type of Object.keys(live.burst))
+                for (const stat of [ "avg", "min", "max" ])
+                    metrics.sample("instance_burst_seconds", { ...labels, type, stat }, live.burst[type][stat] / 1000)
+            const pids = browser.processIds()
+            for (const proc of Object.keys(pids)) {
+                const metric = byPid[pids[proc]]
+                if (metric === undefined)
+                    continue
+                metrics.sample("instance_memory_bytes",      { ...labels, process: proc }, metric.memory.workingSetSize * 1024)
+                metrics.sample("instance_cpu_usage_percent", { ...labels, process: proc }, metric.cpu.percentCPUUsage)
+            }
+            for (const sink of Object.keys(live.ffmpeg)) {
+                const ffmpeg = live.ffmpeg[sink]
+                metrics.sample("instance_ffmpeg_up",    { ...labels, sink }, ![ "stopped", "exited", "paused" ].includes(ffmpeg.state))
+                metrics.sample("instance_ffmpeg_exits", { ...labels, sink }, ffmpeg.exits)
+            }
+            for (const sink of Object.keys(live.recording)) {
+                const recording = live.recording[sink]
+                metrics.sample("instance_recording_seconds", { ...labels, sink }, recording.elapsed)
+                metrics.sample("instance_recording_bytes",   { ...labels, sink }, recording.size)
+            }
+            if (live.srt !== null)
+                metrics.sample("instance_srt_bitrate_kbps", labels, live.srt.bitrate ?? 0)
+            if (live.stream !== null) {
+                metrics.stateset("instance_stream_state", labels,
+                    [ "connecting", "playing", "reconnecting", "stopped" ], live.stream.state)
+                metrics.sample("instance_stream_exits", labels, live.stream.exits)
+            }
+            if (live.receiver !== null)
+                metrics.stateset("instance_receiver_state", labels,
+                    [ "connecting", "receiving", "no-signal", "failed", "stopped" ], live.receiver.state)
+        }
+        return metrics.toString()
+    }
+    const metricsHandler = (req, res) => {
+        res.set("Cache-Control", "no-store")
+        res.status(200).type("application/openmetrics-text; version=1.0.0; charset=utf-8").send(renderMetrics())
+    }
+
+    /*  inject one or more input events into the content of a running browser  */
+    const injectInput = async (id, events) => {
+        const browser = browsers[id]
+        if (browser === undefined)
+            throw new Error("invalid browser id")
+        if (!browser.running())
+            throw new Error("browser still not running")
+        events = Array.isArray(events) ? events : [ events ]
+        for (const ev of events) {
+            if (ev === null || typeof ev !== "object")
+                throw new Error("invalid input event")
+            await browser.input(ev)
+        }
+        log.info(`input: "${browser.cfg.t}" (id=${id}): ${events.map((ev) => ev.type).join(", ")}`)
+    }
+
+    /*  determine the (clamped) size, rate and quality of a preview stream  */
+    const previewParams = (query) => {
+        const clamp = (value, def, min, max) =>
+            Math.min(Math.max(parseInt(value ?? def) || def, min), max)
+        return {
+            width:   clamp(query.width,   320, 64, 1920),
+            fps:     clamp(query.fps,     5,   1,  30),
+            quality: clamp(query.quality, 60,  10, 95)
+        }
+    }
+
+    /*  common HTTP handler for providing a still of the current frame of an instance  */
+    const snapshotHandler = async (id, req, res) => {
+        const browser = browsers[id]
+        if (!browser.running())
+            return res.status(409).json({ error: "instance not running" })
+        const format = String(req.query.format ?? "png").toLowerCase().replace(/^jpg$/, "jpeg")
+        if (format !== "png" && format !== "jpeg")
+            return res.status(400).json({ error: "invalid format (expected \"png\" or \"jpeg\")" })
+        const width = Math.min(Math.max(parseInt(req.query.width ?? "0") || 0, 0), 7680)
+        const data  = await browser.snapshot(format, width)
+        const name  = `${browser.cfg.t.replace(/[^\w.-]+/g, "-")}-${new Date().toISOString().replace(/[:.]/g, "-")}` +
+            `.${format === "jpeg" ? "jpg" : "png"}`
+        res.set("Cache-Control", "no-store")
+        res.set("Content-Disposition", `inline; filename="${name}"`)
+        res.status(200).type(format === "jpeg" ? "image/jpeg" : "image/png").send(data)
+    }
+
     /*  show the window once the DOM was mounted  */
     electron.ipcMain.handle("control-mounted", (ev) => {
         /*  bring user interface into final state   */
@@ -979,7 +1751,7 @@ electron.app.on("ready", async () => {
                 res.set("Server", `${pkg.name}/${pkg.version}`)
                 res.set("Access-Control-Allow-Origin", "*")
                 res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS")
-                res.set("Access-Control-Allow-Headers", "Content-Type")
+                res.set("Access-Control-Allow-Headers", "Content-Type, Authorization")
                 if (req.method === "OPTIONS") return res.sendStatus(204)
                 res.on("finish", () => {
                     log.info(`API: request: remote=${req.ip}, method=${req.method}, url=${req.path}, response=${res.statusCode}`)
@@ -987,16 +1759,43 @@ electron.app.on("ready", async () => {
                 next()
             })
 
+            /*  GET /metrics — process and per-instance metrics (OpenMetrics)  */
+            this.app.get("/metrics", auth.require("viewer"), metricsHandler)
+
             /*  GET / — list all browser titles  */
-            this.app.get("/", (req, res) => {
+            this.app.get("/", auth.require("viewer"), (req, res) => {
                 const response = []
                 for (const id of Object.keys(browsers))
                     response.push(browsers[id].cfg.t)
                 res.status(200).json(response)
             })
 
+            /*  GET /:browser/snapshot — still of the current frame (by title)  */
+            this.app.get("/:browser/snapshot", auth.require("viewer"), async (req, res) => {
+                const id = Object.keys(browsers).find((id) => browsers[id].cfg.t === req.params.browser)
+                if (id === undefined)
+                    return res.status(404).json({ error: "invalid browser title/name" })
+                try {
+                    await snapshotHandler(id, req, res)
+                }
+                catch (err) {
+                    res.status(417).json({ error: err.message })
+                }
+            })
+
+            /*  GET /ndi/sources — discovered NDI sources (for the NDI input type)  */
+            this.app.get("/ndi/sources", auth.require("viewer"), async (req, res) => {
+                try {
+                    res.status(200).json(await ndiSources(req.query.timeout))
+                }
+                catch (err) {
+                    res.status(417).json({ error: err.message })
+                }
+            })
+
             /*  GET|POST /:browser/:command — control by title or "all"  */
-            this.app.all("/:browser/:command", async (req, res) => {
+            const commandRole = (req) => req.params.command === "clear" ? "admin" : "operator"
+            this.app.all("/:browser/:command", auth.require(commandRole), async (req, res) => {
                 const { browser, command } = req.params
                 try {
                     if (browser === "all") {
@@ -1021,6 +1820,33 @@ electron.app.on("ready", async () => {
                             await controlBrowser("stop", id)
                         else if (command === "clear")
                             await controlBrowser("clear", id)
+                        else if (command === "input" && req.method === "POST")
+                            await injectInput(id, req.body)
+                        else if (command === "clock" && req.method === "POST") {
+                            const body = req.body || {}
+                            clockCommand(id, body.command, body.value ?? null)
+                        }
+                        else if (command === "slideshow" && req.method === "POST") {
+                            const body = req.body || {}
+                            await slideshowCommand(id, body.command, body.index ?? null)
+                        }
+                        else if (command === "ticker" && req.method === "POST") {
+                            const body = req.body || {}
+                            tickerCommand(id, body.command ?? "replace", body.items ?? null)
+                        }
+                        else if (command === "recording" && req.method === "POST") {
+                            const body = req.body || {}
+                            await recordingCommand(id, body.command, body.sink ?? null)
+                        }
+                        else if (command === "data" && req.method === "POST") {
+                            const body = req.body || {}
+                            templateCommand(id, body.command ?? "update", body.data ?? null)
+                        }
+                        else if (command === "navigate" && req.method === "POST") {
+                            const body = req.body || {}
+                            await navigateBrowser(id, { it: body.inputType, u: body.url, if: body.files },
+                                body.hold ?? "frame", body.slate ?? "")
+                        }
                         else
                             return res.status(400).json({ error: "invalid command" })
                     }
@@ -1074,11 +1900,16 @@ electron.app.on("ready", async () => {
     /*  Web UI server - serves the web dashboard and media files  */
     const WebUI = class {
         constructor () {
-            this.app     = null
-            this.server  = null
-            this.enabled = false
-            this.addr    = "127.0.0.1"
-            this.port    = "7212"
+            this.app          = null
+            this.server       = null
+            this.wss          = null
+            this.wssPreview   = null
+            this.streams      = new Set()
+            this.pingTimer    = null
+            this.eventHandler = null
+            this.enabled      = false
+            this.addr         = "127.0.0.1"
+            this.port         = "7212"
         }
         async configure (cfg) {
             this.enabled = cfg.enabled ?? false
@@ -1098,40 +1929,56 @@ electron.app.on("ready", async () => {
             this.app.use((req, res, next) => {
                 res.set("Server", `${pkg.name}/${pkg.version}`)
                 res.set("Access-Control-Allow-Origin", "*")
-                res.set("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE, OPTIONS")
-                res.set("Access-Control-Allow-Headers", "Content-Type")
+                res.set("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS")
+                res.set("Access-Control-Allow-Headers", "Content-Type, Authorization")
                 if (req.method === "OPTIONS") return res.sendStatus(204)
                 next()
             })
 
-            /*  helper: persist in-memory browsers to store and notify Control UI  */
-            const debouncedAutosave = debounce(10 * 1000, performAutosave)
-            const saveBrowsersToStore = () => {
-                const cfgArray = Object.keys(browsers).map((bid) => ({ id: bid, ...browsers[bid].cfg }))
-                saveConfigs(cfgArray)
-                if (control && !control.isDestroyed())
-                    control.webContents.send("browsers-refresh")
-                debouncedAutosave()
-            }
-
             /*  async route wrapper for error propagation  */
             const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next)
 
-            /*  serve the web UI dashboard  */
+            /*  serve the web UI dashboard (the page itself carries no data, so it is
+                also delivered on authentication failures, but with the corresponding
+                status code, in order to let the page prompt for an access token)  */
             this.app.get("/", wrap(async (req, res) => {
                 const htmlPath = path.join(__dirname, "vingester-webui.html")
                 const html = await fs.promises.readFile(htmlPath, { encoding: "utf8" })
+                const result = auth.check(req, "viewer")
                 res.set("Cache-Control", "no-store")
-                res.status(200).type("text/html; charset=utf-8").send(html)
+                res.status(result.status).type("text/html; charset=utf-8").send(html)
             }))
 
+            /*  REST API: authentication information of the caller  */
+            this.app.get("/api/auth", auth.require("viewer"), (req, res) => {
+                res.status(200).json({ enabled: auth.enabled, name: req.auth.name, role: req.auth.role })
+            })
+
+            /*  process and per-instance metrics (OpenMetrics)  */
+            this.app.get("/metrics", auth.require("viewer"), metricsHandler)
+
             /*  REST API: version info  */
-            this.app.get("/api/version", (req, res) => {
+            this.app.get("/api/version", auth.require("viewer"), (req, res) => {
                 res.status(200).json({ version: version.vingester, app: pkg.name })
             })
 
+            /*  REST API: supported features (e.g. the available FFmpeg codecs)  */
+            this.app.get("/api/support", auth.require("viewer"), (req, res) => {
+                res.status(200).json(support)
+            })
+
+            /*  REST API: discovered NDI sources (for the NDI input type)  */
+            this.app.get("/api/ndi/sources", auth.require("viewer"), wrap(async (req, res) => {
+                try {
+                    res.status(200).json(await ndiSources(req.query.timeout))
+                }
+                catch (err) {
+                    res.status(409).json({ error: err.message })
+                }
+            }))
+
             /*  REST API: list all instances  */
-            this.app.get("/api/instances", (req, res) => {
+            this.app.get("/api/instances", auth.require("viewer"), (req, res) => {
                 const result = []
                 for (const id of Object.keys(browsers)) {
                     const b = browsers[id]
@@ -1149,39 +1996,55 @@ electron.app.on("ready", async () => {
                         autoRefresh: b.cfg.ar,
                         autoRefreshInterval: b.cfg.ai,
                         autoStart: b.cfg.as,
-                        cfg:     { ...b.cfg }
+                        live:    b.live,
+                        cfg:     (req.auth.role === "admin" ? { ...b.cfg } : redactConfig(b.cfg))
                     })
                 }
                 res.status(200).json(result)
             })
 
             /*  REST API: add new instance  */
-            this.app.post("/api/instances", wrap(async (req, res) => {
+            this.app.post("/api/instances", auth.require("admin"), wrap(async (req, res) => {
                 const body = req.body || {}
                 const id = new UUID(1).fold(2).map((n) =>
                     n.toString(16).toUpperCase().padStart(2, "0")).join("")
                 const cfg = { id, ...body }
                 sanitizeConfig(cfg)
                 await controlBrowser("add", id, cfg)
-                saveBrowsersToStore()
+                persistBrowsers()
                 log.info(`WebUI: added browser instance: ${cfg.t}`)
                 res.status(201).json({ ok: true, id })
             }))
 
-            /*  REST API: update instance config — auto-restart if running  */
-            this.app.patch("/api/instances/:id", wrap(async (req, res) => {
+            /*  REST API: update instance config — auto-restart if running
+                (or just navigate if only the input was changed)  */
+            this.app.patch("/api/instances/:id", auth.require("admin"), wrap(async (req, res) => {
                 const { id } = req.params
                 if (!browsers[id])
                     return res.status(404).json({ error: "instance not found" })
                 const cfg = { ...browsers[id].cfg, ...(req.body || {}) }
                 sanitizeConfig(cfg)
+                const differs = (a, b) => (typeof a === "object" || typeof b === "object") ?
+                    JSON.stringify(a) !== JSON.stringify(b) :
+                    String(a) !== String(b)
+                    && !(typeof a !== "boolean" && typeof b !== "boolean"
+                        && String(a).trim() !== "" && String(b).trim() !== ""
+                        && !isNaN(a) && !isNaN(b) && Number(a) === Number(b))
+                const changed = Object.keys(cfg)
+                    .filter((key) => key !== "id" && differs(cfg[key], browsers[id].cfg[key]))
+                if (browsers[id].running() && changed.length > 0
+                    && changed.every((key) => [ "it", "u", "if" ].includes(key))) {
+                    await navigateBrowser(id, { it: cfg.it, u: cfg.u, if: cfg.if })
+                    log.info(`WebUI: modified browser instance: ${cfg.t} (navigated)`)
+                    return res.status(200).json({ ok: true, restarted: false, navigated: true })
+                }
                 const wasRunning = browsers[id].running()
                 if (wasRunning)
                     await controlBrowser("stop", id)
                 await controlBrowser("mod", id, cfg)
                 if (wasRunning)
                     await controlBrowser("start", id)
-                saveBrowsersToStore()
+                persistBrowsers()
                 log.info(`WebUI: modified browser instance: ${cfg.t}${wasRunning ? " (auto-restarted)" : ""}`)
                 if (wasRunning)
                     syslog.info("webui", `auto-restarted after edit: "${cfg.t}" (id=${id})`)
@@ -1189,19 +2052,217 @@ electron.app.on("ready", async () => {
             }))
 
             /*  REST API: delete instance  */
-            this.app.delete("/api/instances/:id", wrap(async (req, res) => {
+            this.app.delete("/api/instances/:id", auth.require("admin"), wrap(async (req, res) => {
                 const { id } = req.params
                 if (!browsers[id])
                     return res.status(404).json({ error: "instance not found" })
                 const title = browsers[id].cfg.t
                 await controlBrowser("del", id)
-                saveBrowsersToStore()
+                persistBrowsers()
                 log.info(`WebUI: deleted browser instance: ${title}`)
                 res.status(200).json({ ok: true })
             }))
 
+            /*  REST API: inject mouse, keyboard and scroll input into a running instance  */
+            this.app.post("/api/instances/:id/input", auth.require("operator"), wrap(async (req, res) => {
+                const { id } = req.params
+                if (!browsers[id])
+                    return res.status(404).json({ error: "instance not found" })
+                if (!browsers[id].running())
+                    return res.status(409).json({ error: "instance not running" })
+                try {
+                    await injectInput(id, req.body)
+                }
+                catch (err) {
+                    return res.status(400).json({ error: err.message })
+                }
+                res.status(200).json({ ok: true })
+            }))
+
+            /*  REST API: navigate a running instance to a new URL or new media files  */
+            this.app.post("/api/instances/:id/navigate", auth.require("operator"), wrap(async (req, res) => {
+                const { id } = req.params
+                if (!browsers[id])
+                    return res.status(404).json({ error: "instance not found" })
+                const body = req.body || {}
+                try {
+                    await navigateBrowser(id, { it: body.inputType, u: body.url, if: body.files },
+                        body.hold ?? "frame", body.slate ?? "")
+                }
+                catch (err) {
+                    return res.status(400).json({ error: err.message })
+                }
+                res.status(200).json({ ok: true, running: browsers[id].running() })
+            }))
+
+            /*  REST API: update the fields of the graphics template of a running
+                instance and/or play, stop or advance it (CasparCG-style)  */
+            this.app.post("/api/instances/:id/data", auth.require("operator"), wrap(async (req, res) => {
+                const { id } = req.params
+                if (!browsers[id])
+                    return res.status(404).json({ error: "instance not found" })
+                if (!browsers[id].running())
+                    return res.status(409).json({ error: "instance not running" })
+                const body = req.body || {}
+                let state
+                try {
+                    state = templateCommand(id, body.command ?? "update", body.data ?? null)
+                }
+                catch (err) {
+                    return res.status(400).json({ error: err.message })
+                }
+                res.status(200).json({ ok: true, ...state })
+            }))
+
+            /*  REST API: start, pause, reset or set the timer of a running clock instance  */
+            this.app.post("/api/instances/:id/clock", auth.require("operator"), wrap(async (req, res) => {
+                const { id } = req.params
+                if (!browsers[id])
+                    return res.status(404).json({ error: "instance not found" })
+                if (!browsers[id].running())
+                    return res.status(409).json({ error: "instance not running" })
+                const body = req.body || {}
+                let state
+                try {
+                    state = clockCommand(id, body.command, body.value ?? null)
+                }
+                catch (err) {
+                    return res.status(400).json({ error: err.message })
+                }
+                res.status(200).json({ ok: true, ...state })
+            }))
+
+            /*  REST API: step through, jump in or pause the slideshow of a running instance  */
+            this.app.post("/api/instances/:id/slideshow", auth.require("operator"), wrap(async (req, res) => {
+                const { id } = req.params
+                if (!browsers[id])
+                    return res.status(404).json({ error: "instance not found" })
+                if (!browsers[id].running())
+                    return res.status(409).json({ error: "instance not running" })
+                const body = req.body || {}
+                let state
+                try {
+                    state = await slideshowCommand(id, body.command, body.index ?? null)
+                }
+                catch (err) {
+                    return res.status(400).json({ error: err.message })
+                }
+                res.status(200).json({ ok: true, ...state })
+            }))
+
+            /*  REST API: replace, push or clear the items of a running ticker instance  */
+            this.app.post("/api/instances/:id/ticker", auth.require("operator"), wrap(async (req, res) => {
+                const { id } = req.params
+                if (!browsers[id])
+                    return res.status(404).json({ error: "instance not found" })
+                if (!browsers[id].running())
+                    return res.status(409).json({ error: "instance not running" })
+                const body = req.body || {}
+                let state
+                try {
+                    state = tickerCommand(id, body.command ?? "replace", body.items ?? null)
+                }
+                catch (err) {
+                    return res.status(400).json({ error: err.message })
+                }
+                res.status(200).json({ ok: true, ...state })
+            }))
+
+            /*  REST API: start, stop, pause, resume or split the recordings of a running instance  */
+            this.app.post("/api/instances/:id/recording", auth.require("operator"), wrap(async (req, res) => {
+                const { id } = req.params
+                if (!browsers[id])
+                    return res.status(404).json({ error: "instance not found" })
+                if (!browsers[id].running())
+                    return res.status(409).json({ error: "instance not running" })
+                const body = req.body || {}
+                let state
+                try {
+                    state = await recordingCommand(id, body.command, body.sink ?? null)
+                }
+                catch (err) {
+                    return res.status(400).json({ error: err.message })
+                }
+                res.status(200).json({ ok: true, ...state })
+            }))
+
+            /*  REST API: JPEG preview of a running instance  */
+            this.app.get("/api/instances/:id/preview", auth.require("viewer"), wrap(async (req, res) => {
+                const { id } = req.params
+                if (!browsers[id])
+                    return res.status(404).json({ error: "instance not found" })
+                if (!browsers[id].running())
+                    return res.status(409).json({ error: "instance not running" })
+                const width = Math.min(Math.max(parseInt(req.query.width ?? "640") || 640, 64), 3840)
+                const jpeg  = await browsers[id].preview(width)
+                res.set("Cache-Control", "no-store")
+                res.status(200).type("image/jpeg").send(jpeg)
+            }))
+
+            /*  REST API: still of the current frame of a running instance (PNG or JPEG)  */
+            this.app.get("/api/instances/:id/snapshot", auth.require("viewer"), wrap(async (req, res) => {
+                const { id } = req.params
+                if (!browsers[id])
+                    return res.status(404).json({ error: "instance not found" })
+                await snapshotHandler(id, req, res)
+            }))
+
+            /*  REST API: continuous MJPEG preview stream of a running instance
+                (throttled independently from the outputs by the "fps" query parameter)  */
+            this.app.get("/api/instances/:id/stream", auth.require("viewer"), wrap(async (req, res) => {
+                const { id } = req.params
+                if (!browsers[id])
+                    return res.status(404).json({ error: "instance not found" })
+                if (!browsers[id].running())
+                    return res.status(409).json({ error: "instance not running" })
+                const { width, fps, quality } = previewParams(req.query)
+                const boundary = "webretriever-preview"
+                res.status(200).set({
+                    "Content-Type":  `multipart/x-mixed-replace; boundary=${boundary}`,
+                    "Cache-Control": "no-store",
+                    "Connection":    "close"
+                })
+                res.flushHeaders()
+                this.streams.add(res)
+                let sent = null
+                let busy = false
+                const timer = setInterval(async () => {
+                    if (busy)
+                        return
+                    const browser = browsers[id]
+                    if (browser === undefined || !browser.running()) {
+                        clearInterval(timer)
+                        res.end()
+                        return
+                    }
+                    /*  skip unchanged frames and frames for clients which cannot keep up  */
+                    if (res.writableLength > 512 * 1024)
+                        return
+                    busy = true
+                    try {
+                        const jpeg = await browser.preview(width, quality)
+                        if (jpeg !== sent && !res.writableEnded) {
+                            res.write(`--${boundary}\r\nContent-Type: image/jpeg\r\n` +
+                                `Content-Length: ${jpeg.length}\r\n\r\n`)
+                            res.write(jpeg)
+                            res.write("\r\n")
+                            sent = jpeg
+                        }
+                    }
+                    catch (err) {
+                        /*  ignore, retried with the next frame  */
+                    }
+                    busy = false
+                }, Math.round(1000 / fps))
+                req.on("close", () => {
+                    clearInterval(timer)
+                    this.streams.delete(res)
+                })
+            }))
+
             /*  REST API: instance control  */
-            this.app.all("/api/instances/:id/:command", wrap(async (req, res) => {
+            const commandRole = (req) => req.params.command === "clear" ? "admin" : "operator"
+            this.app.all("/api/instances/:id/:command", auth.require(commandRole), wrap(async (req, res) => {
                 const { id, command } = req.params
                 const validCommands = [ "start", "stop", "reload", "clear" ]
                 if (!validCommands.includes(command))
@@ -1214,8 +2275,25 @@ electron.app.on("ready", async () => {
                 res.status(200).json({ ok: true })
             }))
 
+            /*  REST API: scheduler rules and the upcoming actions of the next 24 hours  */
+            this.app.get("/api/schedule", auth.require("viewer"), (req, res) => {
+                res.status(200).json({ rules: store.get("schedule", []), upcoming: scheduler.upcoming(24) })
+            })
+            this.app.put("/api/schedule", auth.require("admin"), wrap(async (req, res) => {
+                let rules
+                try {
+                    rules = configureSchedule((req.body || {}).rules)
+                }
+                catch (err) {
+                    return res.status(400).json({ error: err.message })
+                }
+                debouncedAutosave()
+                log.info(`WebUI: modified scheduler rules (${rules.length} rules)`)
+                res.status(200).json({ ok: true, rules, upcoming: scheduler.upcoming(24) })
+            }))
+
             /*  REST API: start/stop/reload all  */
-            this.app.all("/api/all/:command", wrap(async (req, res) => {
+            this.app.all("/api/all/:command", auth.require("operator"), wrap(async (req, res) => {
                 const { command } = req.params
                 const map = { start: "start-all", stop: "stop-all", reload: "reload-all" }
                 if (!map[command])
@@ -1225,7 +2303,7 @@ electron.app.on("ready", async () => {
             }))
 
             /*  serve media files from the media directory  */
-            this.app.get("/media/:filename", wrap(async (req, res) => {
+            this.app.get("/media/:filename", auth.require("viewer"), wrap(async (req, res) => {
                 const safeName = path.basename(req.params.filename)
                 const filePath = path.join(mediaDir, safeName)
                 try {
@@ -1246,7 +2324,7 @@ electron.app.on("ready", async () => {
             }))
 
             /*  list media library  */
-            this.app.get("/api/media", wrap(async (req, res) => {
+            this.app.get("/api/media", auth.require("viewer"), wrap(async (req, res) => {
                 const imageExts = new Set([ ".png", ".jpg", ".jpeg", ".gif", ".webp", ".bmp", ".svg" ])
                 const videoExts = new Set([ ".mp4", ".webm", ".ogg", ".mov", ".mkv", ".avi" ])
                 let files = []
@@ -1277,7 +2355,7 @@ electron.app.on("ready", async () => {
                 dest:   mediaDir,
                 limits: { fileSize: 500 * 1024 * 1024 }  /*  500 MB limit  */
             })
-            this.app.post("/api/media/upload", upload.single("file"), wrap(async (req, res) => {
+            this.app.post("/api/media/upload", auth.require("admin"), upload.single("file"), wrap(async (req, res) => {
                 const allowedExts = new Set([
                     ".png", ".jpg", ".jpeg", ".gif", ".webp", ".bmp", ".svg",
                     ".mp4", ".webm", ".ogg", ".mov"
@@ -1321,7 +2399,7 @@ electron.app.on("ready", async () => {
             }))
 
             /*  delete media file  */
-            this.app.delete("/api/media/:filename", wrap(async (req, res) => {
+            this.app.delete("/api/media/:filename", auth.require("admin"), wrap(async (req, res) => {
                 const safeName = path.basename(req.params.filename)
                 const filePath = path.join(mediaDir, safeName)
                 try {
@@ -1347,11 +2425,215 @@ electron.app.on("ready", async () => {
             await new Promise((resolve, reject) => {
                 this.server.once("error", reject)
                 this.server.listen(parseInt(this.port), this.addr, resolve)
+            }).catch((err) => {
+                this.server = null
+                this.app    = null
+                throw err
             })
+
+            /*  WebSocket: live event stream (/api/events), subscribed only once the
+                server listens, so a failed start leaves no event subscription behind  */
+            this.startEvents()
             log.info(`Web UI available at http://${this.addr}:${this.port}/`)
         }
+        startEvents () {
+            this.wss        = new WebSocket.Server({ noServer: true })
+            this.wssPreview = new WebSocket.Server({ noServer: true })
+
+            /*  helper: parse a comma-separated filter list (null means "all")  */
+            const parseFilter = (value) => {
+                if (Array.isArray(value))
+                    value = value.join(",")
+                if (typeof value !== "string" || value.trim() === "")
+                    return null
+                return new Set(value.split(",").map((v) => v.trim()).filter((v) => v !== ""))
+            }
+
+            /*  authenticate and accept WebSocket connections  */
+            this.server.on("upgrade", (req, socket, head) => {
+                const url = new URL(req.url, "http://localhost")
+                if (url.pathname !== "/api/events" && url.pathname !== "/api/preview") {
+                    socket.write("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n")
+                    socket.destroy()
+                    return
+                }
+                const result = auth.check(req, "viewer")
+                if (result.status !== 200) {
+                    socket.write(`HTTP/1.1 ${result.status} ${http.STATUS_CODES[result.status]}\r\n` +
+                        "Connection: close\r\n\r\n")
+                    socket.destroy()
+                    return
+                }
+                if (url.pathname === "/api/preview") {
+                    this.wssPreview.handleUpgrade(req, socket, head, (ws) => {
+                        ws.ids    = parseFilter(url.searchParams.get("ids"))
+                        ws.params = previewParams(Object.fromEntries(url.searchParams))
+                        ws.alive  = true
+                        this.wssPreview.emit("connection", ws, req)
+                    })
+                    return
+                }
+                this.wss.handleUpgrade(req, socket, head, (ws) => {
+                    ws.filter = {
+                        ids:   parseFilter(url.searchParams.get("ids")),
+                        types: parseFilter(url.searchParams.get("types"))
+                    }
+                    ws.alive = true
+                    this.wss.emit("connection", ws, req)
+                })
+            })
+
+            /*  handle WebSocket clients  */
+            this.wss.on("connection", (ws, req) => {
+                log.info(`WebUI: events: client connected: remote=${req.socket.remoteAddress}`)
+                ws.on("pong", () => { ws.alive = true })
+                ws.on("message", (message) => {
+                    let msg
+                    try {
+                        msg = JSON.parse(message.toString())
+                    }
+                    catch (ex) {
+                        ws.send(JSON.stringify({ error: "invalid JSON message" }))
+                        return
+                    }
+                    if (typeof msg.subscribe === "object" && msg.subscribe !== null) {
+                        ws.filter = {
+                            ids:   parseFilter(msg.subscribe.ids),
+                            types: parseFilter(msg.subscribe.types)
+                        }
+                        ws.send(JSON.stringify({
+                            subscribed: {
+                                ids:   ws.filter.ids   !== null ? [ ...ws.filter.ids ]   : null,
+                                types: ws.filter.types !== null ? [ ...ws.filter.types ] : null
+                            }
+                        }))
+                    }
+                    else
+                        ws.send(JSON.stringify({ error: "invalid message" }))
+                })
+                ws.on("close", () => {
+                    log.info(`WebUI: events: client disconnected: remote=${req.socket.remoteAddress}`)
+                })
+                ws.on("error", (err) => {
+                    log.warn(`WebUI: events: client error: ${err.message}`)
+                })
+            })
+
+            /*  handle preview stream clients: each binary message carries one
+                JPEG frame of an instance, prefixed by the instance id and a newline  */
+            this.wssPreview.on("connection", (ws, req) => {
+                log.info(`WebUI: preview: client connected: remote=${req.socket.remoteAddress}`)
+                const sent = new Map()
+                let busy = false
+                const send = async () => {
+                    if (busy || ws.readyState !== WebSocket.OPEN)
+                        return
+                    busy = true
+                    for (const id of Object.keys(browsers)) {
+                        if (ws.ids !== null && !ws.ids.has(id))
+                            continue
+                        if (!browsers[id].running()) {
+                            sent.delete(id)
+                            continue
+                        }
+                        /*  skip frames for clients which cannot keep up  */
+                        if (ws.bufferedAmount > 1024 * 1024)
+                            break
+                        try {
+                            const jpeg = await browsers[id].preview(ws.params.width, ws.params.quality)
+                            if (jpeg !== sent.get(id) && ws.readyState === WebSocket.OPEN) {
+                                ws.send(Buffer.concat([ Buffer.from(`${id}\n`, "utf8"), jpeg ]))
+                                sent.set(id, jpeg)
+                            }
+                        }
+                        catch (err) {
+                            /*  ignore, retried with the next frame  */
+                        }
+                    }
+                    busy = false
+                }
+                let timer = setInterval(send, Math.round(1000 / ws.params.fps))
+                ws.on("pong", () => { ws.alive = true })
+                ws.on("message", (message) => {
+                    let msg
+                    try {
+                        msg = JSON.parse(message.toString())
+                    }
+                    catch (ex) {
+                        ws.send(JSON.stringify({ error: "invalid JSON message" }))
+                        return
+                    }
+                    if (typeof msg.subscribe === "object" && msg.subscribe !== null) {
+                        ws.ids    = parseFilter(msg.subscribe.ids)
+                        ws.params = previewParams(msg.subscribe)
+                        sent.clear()
+                        clearInterval(timer)
+                        timer = setInterval(send, Math.round(1000 / ws.params.fps))
+                        ws.send(JSON.stringify({
+                            subscribed: { ids: ws.ids !== null ? [ ...ws.ids ] : null, ...ws.params }
+                        }))
+                    }
+                    else
+                        ws.send(JSON.stringify({ error: "invalid message" }))
+                })
+                ws.on("close", () => {
+                    clearInterval(timer)
+                    log.info(`WebUI: preview: client disconnected: remote=${req.socket.remoteAddress}`)
+                })
+                ws.on("error", (err) => {
+                    log.warn(`WebUI: preview: client error: ${err.message}`)
+                })
+            })
+
+            /*  fan out events to all subscribed clients  */
+            this.eventHandler = (event) => {
+                let data = null
+                for (const ws of this.wss.clients) {
+                    if (ws.readyState !== WebSocket.OPEN)
+                        continue
+                    if (ws.filter.types !== null && !ws.filter.types.has(event.type))
+                        continue
+                    if (ws.filter.ids !== null && event.id !== null && !ws.filter.ids.has(event.id))
+                        continue
+                    /*  drop events for clients which cannot keep up  */
+                    if (ws.bufferedAmount > 1024 * 1024)
+                        continue
+                    if (data === null)
+                        data = JSON.stringify(event)
+                    ws.send(data)
+                }
+            }
+            events.on("event", this.eventHandler)
+
+            /*  detect and drop dead connections  */
+            this.pingTimer = setInterval(() => {
+                for (const ws of [ ...this.wss.clients, ...this.wssPreview.clients ]) {
+                    if (!ws.alive) {
+                        ws.terminate()
+                        continue
+                    }
+                    ws.alive = false
+                    ws.ping()
+                }
+            }, 30 * 1000)
+        }
+        stopEvents () {
+            clearInterval(this.pingTimer)
+            this.pingTimer = null
+            events.off("event", this.eventHandler)
+            this.eventHandler = null
+            for (const ws of [ ...this.wss.clients, ...this.wssPreview.clients ])
+                ws.terminate()
+            this.wss.close()
+            this.wss = null
+            this.wssPreview.close()
+            this.wssPreview = null
+        }
         async stop () {
             log.info("stop Web UI")
+            this.stopEvents()
+            for (const res of this.streams)
+                res.end()
             await new Promise((resolve) => this.server.close(resolve)).catch(() => {})
             this.server = null
             this.app    = null
@@ -1410,6 +2692,33 @@ electron.app.on("ready", async () => {
         port:    store.get("syslog.port",    514)
     })
 
+    /*  authentication IPC handlers  */
+    electron.ipcMain.handle("auth-get", () => ({
+        enabled: auth.enabled,
+        tokens:  auth.tokens
+    }))
+    electron.ipcMain.handle("auth-set", async (ev, cfg) => {
+        auth.configure({ enabled: cfg.enabled, tokens: cfg.tokens })
+        store.set("auth.enabled", auth.enabled)
+        store.set("auth.tokens",  auth.tokens)
+        log.info(`authentication configured: ${auth.enabled ? "enabled" : "disabled"} (${auth.tokens.length} tokens)`)
+        syslog.info("app", `authentication ${auth.enabled ? "enabled" : "disabled"} (${auth.tokens.length} tokens)`)
+    })
+    electron.ipcMain.handle("auth-generate", () => auth.generate())
+
+    /*  scheduler IPC handlers  */
+    electron.ipcMain.handle("schedule-get", () => store.get("schedule", []))
+    electron.ipcMain.handle("schedule-set", async (ev, rules) => {
+        try {
+            configureSchedule(rules)
+            return null
+        }
+        catch (err) {
+            return err.message
+        }
+    })
+    electron.ipcMain.handle("schedule-upcoming", () => scheduler.upcoming(24))
+
     /*  collect metrics  */
     log.info("start usage gathering timer")
     const usages = new util.WeightedAverage(20, 5)
@@ -1422,7 +2731,9 @@ electron.app.on("ready", async () => {
         for (const metric of metrics)
             usage += metric.cpu.percentCPUUsage
         usages.record(usage, (stat) => {
+            cpuUsage = stat.avg
             control.webContents.send("usage", stat.avg)
+            publish("usage", null, { cpu: stat.avg })
             /*  alert via syslog if CPU exceeds 80% for 3 consecutive readings (~30s)  */
             if (stat.avg >= 80) {
                 cpuHighCount++
@@ -1439,6 +2750,10 @@ electron.app.on("ready", async () => {
     log.info("start autosave timer (5-minute interval)")
     autosaveTimer = setInterval(performAutosave, 5 * 60 * 1000)
 
+    /*  start time-based scheduler  */
+    log.info("start scheduler timer (1-minute interval)")
+    scheduler.start()
+
     /*  register some global shortcuts  */
     electron.globalShortcut.register("Control+Alt+Shift+Escape", () => {
         log.info("catched global hotkey for stopping all browsers")
@@ -1449,7 +2764,8 @@ electron.app.on("ready", async () => {
     if (configFile !== null) {
         if (await pathExists(configFile)) {
             log.info(`loading auto-import/export configuration: "${configFile}"`)
-            await importConfig(configFile)
+            const result = await importConfig(configFile)
+            configFileTokens = (result ? result.tokens : false)
             control.webContents.send("load")
         }
         else
@@ -1475,6 +2791,9 @@ electron.app.on("ready", async () => {
         }
         await performAutosave()
 
+        /*  stop scheduler  */
+        scheduler.stop()
+
         /*  stop all browsers  */
         await controlBrowser("stop-all", null)
 
@@ -1490,7 +2809,7 @@ electron.app.on("ready", async () => {
         if (configFile !== null) {
             control.webContents.send("save")
             await new Promise((resolve) => setTimeout(resolve, 500))
-            await exportConfig(configFile)
+            await exportConfig(configFile, configFileTokens)
         }
 
         /*  save window bounds  */
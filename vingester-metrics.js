@@ -0,0 +1,84 @@
+/*
+**  WebRetriever ~ Ingest Web Contents as Video Streams
+**  Based on Vingester (c) 2021-2025 Dr. Ralf S. Engelschall
+**  Licensed under GPL 3.0 <https://spdx.org/licenses/GPL-3.0-only>
+*/
+
+/*  builder for metrics in the OpenMetrics text exposition format
+    (see https://github.com/OpenObservability/OpenMetrics)  */
+module.exports = class Metrics {
+    constructor (prefix) {
+        this.prefix   = prefix
+        this.families = new Map()
+    }
+
+    /*  declare a metric family (type is "gauge", "counter", "info" or "stateset")  */
+    family (name, type, help, unit = "") {
+        name = `${this.prefix}_${name}`
+        if (!this.families.has(name))
+            this.families.set(name, { type, help, unit, samples: [] })
+        return this
+    }
+
+    /*  add a sample to a metric family  */
+    sample (name, labels, value) {
+        name = `${this.prefix}_${name}`
+        const family = this.families.get(name)
+        if (family === undefined)
+            throw new Error(`unknown metric family "${name}"`)
+        if (value === null || value === undefined || (typeof value === "number" && isNaN(value)))
+            return this
+        if (typeof value === "boolean")
+            value = value ? 1 : 0
+        let suffix = ""
+        if (family.type === "counter")
+            suffix = "_total"
+        else if (family.type === "info")
+            suffix = "_info"
+        family.samples.push({ name: name + suffix, labels, value })
+        return this
+    }
+
+    /*  add the samples of a state set (exactly one of the states is active)  */
+    stateset (name, labels, states, state) {
+        for (const s of states)
+            this.sample(name, { ...labels, [`${this.prefix}_${name}`]: s }, s === state)
+        return this
+    }
+
+    /*  escape a label value  */
+    static escape (value) {
+        return String(value)
+            .replace(/\\/g, "\\\\")
+            .replace(/"/g, "\\\"")
+            .replace(/\n/g, "\\n")
+    }
+
+    /*  format a sample value  */
+    static format (value) {
+        if (value === Number.POSITIVE_INFINITY)
+            return "+Inf"
+        if (value === Number.NEGATIVE_INFINITY)
+            return "-Inf"
+        return String(value)
+    }
+
+    /*  render all metric families  */
+    toString () {
+        let text = ""
+        for (const [ name, family ] of this.families) {
+            text += `# TYPE ${name} ${family.type}\n`
+            if (family.unit !== "")
+                text += `# UNIT ${name} ${family.unit}\n`
+            text += `# HELP ${name} ${Metrics.escape(family.help)}\n`
+            for (const sample of family.samples) {
+                const labels = Object.keys(sample.labels)
+                    .map((key) => `${key}="${Metrics.escape(sample.labels[key])}"`)
+                    .join(",")
+                text += `${sample.name}${labels !== "" ? `{${labels}}` : ""} ${Metrics.format(sample.value)}\n`
+            }
+        }
+        text += "# EOF\n"
+        return text
+    }
+}
@@ -0,0 +1,175 @@
+/*
+**  WebRetriever ~ Ingest Web Contents as Video Streams
+**  Based on Vingester (c) 2021-2025 Dr. Ralf S. Engelschall
+**  Licensed under GPL 3.0 <https://spdx.org/licenses/GPL-3.0-only>
+*/
+
+/*  standard requirements  */
+const EventEmitter = require("events")
+
+/*  external requirements  */
+const grandiose    = require("grandiose")
+
+/*  the exported API  */
+module.exports = class Receiver extends EventEmitter {
+    constructor (options = {}) {
+        super()
+
+        /*  determine default option values  */
+        this.options = Object.assign({}, {
+            source:    "",
+            name:      "WebRetriever",
+            bandwidth: "highest",
+            audio:     true,
+            fps:       30,
+            timeout:   5,
+            log:       (level, msg) => {}
+        }, options)
+
+        /*  initialize state  */
+        this.receiver  = null
+        this.stopping  = false
+        this.state     = "stopped"
+        this.lastVideo = 0
+        this.lastSent  = 0
+        this.format    = null
+        this.checker   = null
+        this.starts    = 0
+    }
+
+    /*  discover the NDI sources on the network (within a timeout in milliseconds)  */
+    static async find (timeout = 2000) {
+        if (!grandiose.isSupportedCPU())
+            throw new Error("NDI not supported on this CPU")
+        const sources = await grandiose.find({ showLocalSources: true }, timeout).catch(() => [])
+        return sources
+            .map((source) => ({ name: source.name, urlAddress: source.urlAddress ?? "" }))
+            .sort((a, b) => a.name.localeCompare(b.name))
+    }
+
+    /*  change and announce the reception state  */
+    setState (state) {
+        if (this.state === state)
+            return
+        this.state = state
+        this.emit("state", state, this.format)
+    }
+
+    /*  start receiving: the NDI SDK itself (re)connects to the source
+        by its name whenever it (re)appears on the network  */
+    async start () {
+        if (!grandiose.isSupportedCPU())
+            throw new Error("NDI not supported on this CPU")
+        this.options.log("info", `starting NDI reception of source "${this.options.source}"`)
+        const start = ++this.starts
+        const receiver = await grandiose.receive({
+            source:          { name: this.options.source },
+            name:            this.options.name,
+            colorFormat:     grandiose.COLOR_FORMAT_RGBX_RGBA,
+            bandwidth:       this.options.bandwidth === "lowest" ?
+                grandiose.BANDWIDTH_LOWEST : grandiose.BANDWIDTH_HIGHEST,
+            allowVideoFields: false
+        })
+
+        /*  drop the receiver again, if the reception was stopped in the meantime  */
+        if (start !== this.starts) {
+            this.options.log("info", `dropping NDI reception of source "${this.options.source}" (stopped while starting)`)
+            return
+        }
+        this.receiver  = receiver
+        this.stopping  = false
+        this.lastVideo = Date.now()
+        this.setState("connecting")
+
+        /*  detect missing signals (the last frame is kept by the content)  */
+        this.checker = setInterval(() => {
+            if (Date.now() - this.lastVideo > this.options.timeout * 1000)
+                this.setState(this.format === null ? "connecting" : "no-signal")
+        }, 1000)
+
+        /*  receive video and audio frames independently  */
+        this.receiveVideo(this.receiver)
+        if (this.options.audio)
+            this.receiveAudio(this.receiver)
+    }
+
+    /*  receive video frames and pass them on (at most with the target frame rate)  */
+    async receiveVideo (receiver) {
+        while (this.receiver === receiver && !this.stopping) {
+            let frame
+            try {
+                frame = await receiver.video(1000)
+            }
+            catch (err) {
+                /*  no frame within the timeout  */
+                continue
+            }
+            if (this.receiver !== receiver || this.stopping)
+                break
+            const now = Date.now()
+            this.lastVideo = now
+            this.format = {
+                width:  frame.xres,
+                height: frame.yres,
+                fps:    frame.frameRateD > 0 ? Math.round(100 * frame.frameRateN / frame.frameRateD) / 100 : 0
+            }
+            this.setState("receiving")
+            if (now - this.lastSent < (1000 / this.options.fps) * 0.9)
+                continue
+            this.lastSent = now
+
+            /*  ensure a tightly packed RGBA buffer  */
+            const stride = frame.xres * 4
+            let data = frame.data
+            if (frame.lineStrideBytes !== stride) {
+                data = Buffer.alloc(stride * frame.yres)
+                for (let y = 0; y < frame.yres; y++)
+                    frame.data.copy(data, y * stride, y * frame.lineStrideBytes, y * frame.lineStrideBytes + stride)
+            }
+            this.emit("video", { width: frame.xres, height: frame.yres, data })
+        }
+    }
+
+    /*  receive audio frames (as planar 32-bit floats) and pass them on  */
+    async receiveAudio (receiver) {
+        while (this.receiver === receiver && !this.stopping) {
+            let frame
+            try {
+                frame = await receiver.audio({
+                    audioFormat:    grandiose.AUDIO_FORMAT_FLOAT_32_SEPARATE,
+                    referenceLevel: 0
+                }, 1000)
+            }
+            catch (err) {
+                /*  no frame within the timeout  */
+                continue
+            }
+            if (this.receiver !== receiver || this.stopping)
+                break
+            this.emit("audio", {
+                sampleRate: frame.sampleRate,
+                channels:   frame.channels,
+                samples:    frame.samples,
+                stride:     frame.channelStrideInBytes,
+                data:       frame.data
+            })
+        }
+    }
+
+    /*  stop receiving  */
+    async stop () {
+        this.starts++
+        if (this.checker !== null) {
+            clearInterval(this.checker)
+            this.checker = null
+        }
+        if (this.receiver !== null) {
+            this.options.log("info", `stopping NDI reception of source "${this.options.source}"`)
+            this.stopping = true
+            this.receiver = null
+        }
+        this.format = null
+        this.setState("stopped")
+        return Promise.resolve(true)
+    }
+}
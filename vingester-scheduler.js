@@ -0,0 +1,204 @@
+/*
+**  WebRetriever ~ Ingest Web Contents as Video Streams
+**  Based on Vingester (c) 2021-2025 Dr. Ralf S. Engelschall
+**  Licensed under GPL 3.0 <https://spdx.org/licenses/GPL-3.0-only>
+*/
+
+const EventEmitter = require("events")
+
+/*  supported rule actions  */
+const ACTIONS = [ "start", "stop", "reload", "url", "files" ]
+
+/*  cron field definitions (minute, hour, day-of-month, month, day-of-week)  */
+const CRON_FIELDS = [
+    { min: 0, max: 59 },
+    { min: 0, max: 23 },
+    { min: 1, max: 31 },
+    { min: 1, max: 12, names: [ "jan", "feb", "mar", "apr", "may", "jun",
+        "jul", "aug", "sep", "oct", "nov", "dec" ] },
+    { min: 0, max: 7,  names: [ "sun", "mon", "tue", "wed", "thu", "fri", "sat" ] }
+]
+const CRON_ALIASES = {
+    "@yearly":   "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly":  "0 0 1 * *",
+    "@weekly":   "0 0 * * 0",
+    "@daily":    "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly":   "0 * * * *"
+}
+
+/*  parse a single cron field into the set of matching values  */
+const parseCronField = (text, def) => {
+    const values = new Set()
+    const value = (token) => {
+        let n = def.names ? def.names.indexOf(token.toLowerCase()) : -1
+        if (n >= 0)
+            n += def.min
+        else if (token.match(/^\d+$/))
+            n = parseInt(token)
+        else
+            throw new Error(`invalid value "${token}"`)
+        if (n < def.min || n > def.max)
+            throw new Error(`value "${token}" out of range ${def.min}-${def.max}`)
+        return n
+    }
+    for (const part of text.split(",")) {
+        const m = part.match(/^(\*|[^-/]+(?:-[^-/]+)?)(?:\/(\d+))?$/)
+        if (m === null)
+            throw new Error(`invalid field "${part}"`)
+        let [ from, to ] = [ def.min, def.max ]
+        if (m[1] !== "*") {
+            const range = m[1].split("-")
+            from = value(range[0])
+            to   = (range.length > 1 ? value(range[1]) : (m[2] !== undefined ? def.max : from))
+            if (from > to)
+                throw new Error(`invalid range "${m[1]}"`)
+        }
+        const step = (m[2] !== undefined ? parseInt(m[2]) : 1)
+        if (step < 1)
+            throw new Error(`invalid step "${m[2]}"`)
+        for (let n = from; n <= to; n += step)
+            values.add(n)
+    }
+    return values
+}
+
+/*  parse the time specification of a rule: either a cron expression
+    ("<minute> <hour> <day-of-month> <month> <day-of-week>" or an alias like "@daily")
+    or a calendar date/time ("YYYY-MM-DD HH:MM") for a one-time action  */
+const parseWhen = (when) => {
+    when = String(when ?? "").trim()
+    const m = when.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})$/)
+    if (m !== null) {
+        const at = new Date(parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3]),
+            parseInt(m[4]), parseInt(m[5]), 0, 0)
+        if (isNaN(at.getTime()) || at.getMonth() !== parseInt(m[2]) - 1)
+            throw new Error("invalid calendar date")
+        return { type: "once", at: at.getTime() }
+    }
+    const expr   = CRON_ALIASES[when.toLowerCase()] ?? when
+    const fields = expr.split(/\s+/)
+    if (fields.length !== 5)
+        throw new Error("expected cron expression with 5 fields or \"YYYY-MM-DD HH:MM\"")
+    const sets = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]))
+    if (sets[4].has(7))
+        sets[4].add(0)
+    return {
+        type:   "cron",
+        sets,
+        anyDom: fields[2] === "*",
+        anyDow: fields[4] === "*"
+    }
+}
+
+/*  check whether a parsed time specification matches a particular minute  */
+const matchesWhen = (spec, date) => {
+    if (spec.type === "once")
+        return date.getTime() === spec.at
+    const [ minutes, hours, doms, months, dows ] = spec.sets
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1))
+        return false
+
+    /*  standard cron semantics: if both day-of-month and day-of-week
+        are restricted, a match of either of them is sufficient  */
+    const dom = doms.has(date.getDate())
+    const dow = dows.has(date.getDay())
+    if (!spec.anyDom && !spec.anyDow)
+        return dom || dow
+    return dom && dow
+}
+
+/*  the scheduler  */
+class Scheduler extends EventEmitter {
+    constructor () {
+        super()
+        this.rules = []
+        this.timer = null
+        this.last  = 0
+    }
+
+    /*  validate a single rule (returns an error message or null)  */
+    validate (rule) {
+        if (typeof rule.browser !== "string" || rule.browser === "")
+            return "missing instance"
+        if (!ACTIONS.includes(rule.action))
+            return `invalid action "${rule.action}"`
+        if ((rule.action === "url" || rule.action === "files") && String(rule.value ?? "").trim() === "")
+            return `action "${rule.action}" requires a value`
+        try {
+            parseWhen(rule.when)
+        }
+        catch (err) {
+            return `invalid time specification "${rule.when}": ${err.message}`
+        }
+        return null
+    }
+
+    /*  take over (already validated) rules  */
+    configure (rules) {
+        this.rules = (Array.isArray(rules) ? rules : [])
+            .filter((rule) => this.validate(rule) === null)
+            .map((rule) => ({
+                id:      String(rule.id),
+                enabled: rule.enabled !== false,
+                browser: rule.browser,
+                when:    String(rule.when).trim(),
+                action:  rule.action,
+                value:   String(rule.value ?? ""),
+                spec:    parseWhen(rule.when)
+            }))
+    }
+
+    /*  start ticking once per minute (aligned to the minute boundaries)  */
+    start () {
+        if (this.timer !== null)
+            return
+        this.last = Math.floor(Date.now() / 60000) * 60000
+        const schedule = () => {
+            const delay = (Math.floor(Date.now() / 60000) + 1) * 60000 - Date.now() + 100
+            this.timer = setTimeout(() => {
+                this.tick()
+                schedule()
+            }, delay)
+        }
+        schedule()
+    }
+    stop () {
+        if (this.timer !== null) {
+            clearTimeout(this.timer)
+            this.timer = null
+        }
+    }
+
+    /*  fire all rules matching the minutes elapsed since the last tick
+        (but catch up at most 5 minutes, e.g. after the system was suspended)  */
+    tick () {
+        const now = Math.floor(Date.now() / 60000) * 60000
+        let minute = Math.max(this.last + 60000, now - 4 * 60000)
+        for (; minute <= now; minute += 60000) {
+            const date = new Date(minute)
+            for (const rule of this.rules)
+                if (rule.enabled && matchesWhen(rule.spec, date))
+                    this.emit("action", rule, date)
+        }
+        this.last = now
+    }
+
+    /*  determine the upcoming actions within the next hours  */
+    upcoming (hours = 24) {
+        const result = []
+        const now = Math.floor(Date.now() / 60000) * 60000
+        for (let minute = now + 60000; minute <= now + hours * 60 * 60000; minute += 60000) {
+            const date = new Date(minute)
+            for (const rule of this.rules)
+                if (rule.enabled && matchesWhen(rule.spec, date))
+                    result.push({ time: minute, rule: rule.id, browser: rule.browser, action: rule.action, value: rule.value })
+        }
+        return result
+    }
+}
+
+/*  Export a singleton — require() caches it so all callers share the same instance  */
+module.exports = new Scheduler()
+module.exports.ACTIONS = ACTIONS
@@ -0,0 +1,246 @@
+/*
+**  WebRetriever ~ Ingest Web Contents as Video Streams
+**  Based on Vingester (c) 2021-2025 Dr. Ralf S. Engelschall
+**  Licensed under GPL 3.0 <https://spdx.org/licenses/GPL-3.0-only>
+*/
+
+/*  standard requirements  */
+const EventEmitter = require("events")
+
+/*  external requirements  */
+const execa        = require("execa")
+
+/*  the exported API  */
+module.exports = class Stream extends EventEmitter {
+    constructor (options = {}) {
+        super()
+
+        /*  determine default option values  */
+        this.options = Object.assign({}, {
+            ffmpeg:     "ffmpeg",
+            url:        "",
+            args:       [],
+            audio:      true,
+            width:      1280,
+            height:     720,
+            fps:        30,
+            reconnect:  2,
+            timeout:    10,
+            log:        (level, msg) => {}
+        }, options)
+
+        /*  initialize state  */
+        this.proc       = null
+        this.stopping   = false
+        this.state      = "stopped"
+        this.lastError  = ""
+        this.restarter  = null
+        this.staller    = null
+        this.exits      = 0
+        this.retries    = 0
+        this.buffer     = Buffer.alloc(0)
+        this.pending    = []
+        this.init       = null
+    }
+
+    /*  determine whether the source is a local file (instead of a network URL)  */
+    static isFile (url) {
+        return !url.match(/^[a-z][a-z\d+.-]+:\/\//i)
+    }
+
+    /*  change and announce the connection state  */
+    setState (state, reason = "") {
+        if (this.state === state)
+            return
+        this.state = state
+        this.emit("state", state, reason)
+    }
+
+    /*  decode the source into fragmented MP4 (H.264/AAC), as
+        it can be directly fed into Media Source Extensions (MSE)  */
+    start () {
+        const url     = this.options.url
+        const file    = Stream.isFile(url)
+        const options = [
+            "-hide_banner",
+            "-loglevel", "error",
+            "-nostdin",
+
+            /*  specific input options  */
+            ...(url.match(/^rtsps?:\/\//i) ? [ "-rtsp_transport", "tcp" ] : []),
+            ...(file ? [ "-re", "-stream_loop", "-1" ] : []),
+            ...this.options.args,
+            "-i", url,
+
+            /*  video output options  */
+            "-map", "0:v:0",
+            "-vf", `scale=w=${this.options.width}:h=${this.options.height}` +
+                ":force_original_aspect_ratio=decrease:force_divisible_by=2",
+            "-r", this.options.fps,
+            "-c:v", "libx264",
+            "-preset", "ultrafast",
+            "-tune", "zerolatency",
+            "-profile:v", "high",
+            "-pix_fmt", "yuv420p",
+            "-g", this.options.fps,
+            "-bf", "0",
+
+            /*  audio output options  */
+            ...(this.options.audio ? [
+                "-map", "0:a:0?",
+                "-c:a", "aac",
+                "-b:a", "160k",
+                "-ac", "2",
+                "-ar", "48000"
+            ] : [
+                "-an"
+            ]),
+
+            /*  fragmented MP4 output  */
+            "-f", "mp4",
+            "-movflags", "empty_moov+default_base_moof+frag_keyframe",
+            "-frag_duration", "250000",
+            "pipe:1"
+        ]
+
+        /*  start ffmpeg(1) sub-process  */
+        this.options.log("info", `starting FFmpeg stream decoding: ${this.options.ffmpeg} ${options.join(" ")}`)
+        this.proc = execa(this.options.ffmpeg, options, {
+            stdio:  [ "ignore", "pipe", "pipe" ],
+            buffer: false
+        })
+        this.buffer    = Buffer.alloc(0)
+        this.pending   = []
+        this.lastError = ""
+        this.setState("connecting")
+        this.stall()
+        this.proc.stdout.on("data", (chunk) => {
+            if (this.stopping)
+                return
+            this.stall()
+            this.parse(chunk)
+        })
+        this.proc.stderr.on("data", (line) => {
+            if (this.stopping)
+                return
+            this.lastError = line.toString().trim().split(/\r?\n/).pop()
+            this.options.log("warn", `FFmpeg stderr: ${this.lastError}`)
+        })
+
+        /*  process exit of ffmpeg(1) subprocess: the source is allowed to go
+            away (or to be not reachable yet), so reconnect with an increasing delay  */
+        const proc = this.proc
+        this.proc.on("exit", (code, signal) => {
+            if (this.stopping || this.proc !== proc)
+                return
+            this.options.log("warn", `FFmpeg stream decoding exit: code: ${code}, signal: ${signal}`)
+            this.unstall()
+            this.exits++
+            this.proc = null
+            const delay = Math.min(this.options.reconnect * Math.pow(2, this.retries++), 30)
+            this.setState("reconnecting", this.lastError !== "" ? this.lastError : `code: ${code}, signal: ${signal}`)
+            this.restarter = setTimeout(() => {
+                this.restarter = null
+                if (!this.stopping)
+                    this.start()
+            }, delay * 1000)
+        })
+        this.proc.catch(() => {})
+    }
+
+    /*  (re)start the detection of stalled sources (which do not close the connection)  */
+    stall () {
+        this.unstall()
+        this.staller = setTimeout(() => {
+            this.staller = null
+            if (this.proc !== null && !this.stopping) {
+                this.lastError = `no data received for ${this.options.timeout}s`
+                this.proc.kill("SIGKILL")
+            }
+        }, this.options.timeout * 1000)
+    }
+    unstall () {
+        if (this.staller !== null) {
+            clearTimeout(this.staller)
+            this.staller = null
+        }
+    }
+
+    /*  split the fragmented MP4 output into its initialization segment
+        ("ftyp" and "moov" boxes) and media segments ("moof" and "mdat" boxes)  */
+    parse (chunk) {
+        this.buffer = Buffer.concat([ this.buffer, chunk ])
+        while (this.buffer.length >= 8) {
+            let size = this.buffer.readUInt32BE(0)
+            if (size === 1) {
+                if (this.buffer.length < 16)
+                    break
+                size = Number(this.buffer.readBigUInt64BE(8))
+            }
+            if (size < 8) {
+                this.lastError = "invalid MP4 box"
+                this.proc.kill("SIGKILL")
+                return
+            }
+            if (this.buffer.length < size)
+                break
+            const type = this.buffer.toString("latin1", 4, 8)
+            const box  = this.buffer.subarray(0, size)
+            this.buffer = this.buffer.subarray(size)
+            this.pending.push(box)
+            if (type === "moov") {
+                this.init = { mime: Stream.mime(box), data: Buffer.concat(this.pending) }
+                this.pending = []
+                this.retries = 0
+                this.setState("playing")
+                this.emit("init", this.init.mime, this.init.data)
+            }
+            else if (type === "mdat") {
+                const data = Buffer.concat(this.pending)
+                this.pending = []
+                if (this.init !== null)
+                    this.emit("segment", data)
+            }
+        }
+    }
+
+    /*  determine the MIME type (with the exact codecs) of the MP4 stream from its "moov" box  */
+    static mime (moov) {
+        const hex    = (byte) => byte.toString(16).padStart(2, "0").toUpperCase()
+        const codecs = []
+        const avcC   = moov.indexOf("avcC", 0, "latin1")
+        if (avcC >= 0 && avcC + 8 <= moov.length)
+            codecs.push(`avc1.${hex(moov[avcC + 5])}${hex(moov[avcC + 6])}${hex(moov[avcC + 7])}`)
+        if (moov.indexOf("mp4a", 0, "latin1") >= 0)
+            codecs.push("mp4a.40.2")
+        return `video/mp4; codecs="${codecs.join(", ")}"`
+    }
+
+    /*  stop decoding  */
+    async stop () {
+        /*  cancel pending reconnects and stall detection  */
+        if (this.restarter !== null) {
+            clearTimeout(this.restarter)
+            this.restarter = null
+        }
+        this.unstall()
+
+        /*  kill ffmpeg(1) subprocess  */
+        if (this.proc !== null && !this.stopping) {
+            try {
+                this.options.log("info", "stopping FFmpeg stream decoding")
+                this.stopping = true
+                this.proc.kill("SIGTERM", { forceKillAfterTimeout: 2000 })
+                await this.proc
+            }
+            catch (err) {
+                /*  no-op  */
+            }
+            this.proc     = null
+            this.stopping = false
+        }
+        this.init = null
+        this.setState("stopped")
+        return Promise.resolve(true)
+    }
+}
@@ -133,10 +133,73 @@ class AvailableDisplays {
     }
 }
 
+/*  helper class for recording file names from templates  */
+class RecordingFileName {
+    /*  determine the fixed template variables of a FFmpeg sink of an instance  */
+    static vars (cfg, index) {
+        const sink = cfg.X[index]
+        const safe = (name) => name.replace(/[^\w.-]+/g, "-")
+        return {
+            title: safe(cfg.t),
+            sink:  safe(sink.t !== "" ? sink.t : `ffmpeg-${index + 1}`)
+        }
+    }
+
+    /*  expand a file name template like "{title}_{date}_{time}.mkv"  */
+    static expand (template, vars, date, index) {
+        const pad = (num, len = 2) => num.toString().padStart(len, "0")
+        const values = Object.assign({}, vars, {
+            date:  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+            time:  `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+            index: pad(index, 3)
+        })
+        return template.replace(/\{(\w+)\}/g, (all, name) => values[name] ?? all)
+    }
+
+    /*  determine whether a template identifies the recordings of a single sink, i.e., whether
+        it references the instance title or the sink name (as the retention of the recordings
+        deletes all files of the recording directory matching the template)  */
+    static identifying (template) {
+        return /\{(?:title|sink)\}/.test(template)
+    }
+
+    /*  determine a variant of an expanded file name which is not in use yet, by appending
+        a counter to its base name, as a recording must never overwrite a previous one
+        (of an earlier start of the instance or of the previous segment file)  */
+    static unique (file, inUse) {
+        const [ , base, ext ] = file.match(/^(.*?)(\.[^./\\]*)?$/)
+        let result = file
+        for (let i = 2; inUse(result); i++)
+            result = `${base}-${i}${ext ?? ""}`
+        return result
+    }
+
+    /*  determine a regular expression matching all expansions of a template
+        (including their variants with a counter)  */
+    static matcher (template, vars) {
+        const quote = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        const wildcards = {
+            date:  "\\d{4}-\\d{2}-\\d{2}",
+            time:  "\\d{2}-\\d{2}-\\d{2}",
+            index: "\\d+"
+        }
+        const expand = (str) => str.split(/(\{\w+\})/).map((part) => {
+            const m = part.match(/^\{(\w+)\}$/)
+            if (m !== null && vars[m[1]] !== undefined)
+                return quote(vars[m[1]])
+            else if (m !== null && wildcards[m[1]] !== undefined)
+                return wildcards[m[1]]
+            return quote(part)
+        }).join("")
+        const [ , base, ext ] = template.match(/^(.*?)(\.[^./\\]*)?$/)
+        return new RegExp(`^${expand(base)}(?:-\\d+)?${expand(ext ?? "")}$`)
+    }
+}
+
 module.exports = {
     WeightedAverage,
     ActionsPerTime,
     ImageBufferAdjustment,
-    AvailableDisplays
+    AvailableDisplays,
+    RecordingFileName
 }
-